@@ -1,12 +1,26 @@
 /**
  * ✅ PRODUCTION-GRADE: Authentication Middleware
  * Supports both accessToken (short-lived) and fallback to original token for frontend compatibility
+ * Revoked tokens are looked up in app.locals.revocationStore (utils/revocationStore.js) on every request
  */
 
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
+const { hashToken } = require('../utils/tokens');
 
-module.exports = (req, res, next) => {
+// How long a revoked token without an `exp` claim is remembered
+const UNBOUNDED_TOKEN_REVOCATION_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+/**
+ * Revocation key and expiry of a verified token
+ * Tokens issued before access tokens carried a `jti` are keyed by their hash
+ */
+const revocationKeyOf = (decoded, token) => ({
+  jti: decoded.jti || hashToken(token),
+  expiresAt: new Date(decoded.exp ? decoded.exp * 1000 : Date.now() + UNBOUNDED_TOKEN_REVOCATION_MS)
+});
+
+module.exports = async (req, res, next) => {
   const authHeader = req.headers.authorization;
 
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -20,27 +34,12 @@ module.exports = (req, res, next) => {
 
   const token = authHeader.split(' ')[1];
 
+  let decoded;
   try {
     // ✅ First, try to verify as accessToken (short-lived)
-    const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, {
       algorithms: ['HS256']
     });
-
-    // ✅ Check if token is revoked
-    if (req.app.locals.revokedTokens && req.app.locals.revokedTokens.has(token)) {
-      logger.info({ userId: decoded.userId }, 'Revoked token used');
-      return res.status(401).json({
-        status: 'error',
-        message: 'Token has been revoked',
-        details: 'Please login again'
-      });
-    }
-
-    req.userId = decoded.userId;
-    req.tokenType = decoded.type || 'legacy'; // 'access' or 'legacy'
-    req.token = token;
-
-    next();
   } catch (err) {
     logger.warn({ error: err.message }, 'Token verification failed');
 
@@ -59,6 +58,46 @@ module.exports = (req, res, next) => {
       details: err.message
     });
   }
+
+  // ✅ Refresh tokens only work on POST /auth/refresh, where rotation and reuse detection apply
+  if (decoded.type === 'refresh') {
+    logger.warn({ userId: decoded.userId, endpoint: req.path }, 'Refresh token used as access token');
+    return res.status(401).json({
+      status: 'error',
+      message: 'Invalid token type',
+      details: 'Use an access token'
+    });
+  }
+
+  const { jti, expiresAt } = revocationKeyOf(decoded, token);
+
+  // ✅ Check if token is revoked (fails closed: no request gets through unchecked)
+  try {
+    if (await req.app.locals.revocationStore.isRevoked(jti)) {
+      logger.info({ userId: decoded.userId }, 'Revoked token used');
+      return res.status(401).json({
+        status: 'error',
+        message: 'Token has been revoked',
+        details: 'Please login again'
+      });
+    }
+  } catch (err) {
+    logger.error({ userId: decoded.userId, error: err.message }, 'Token revocation check failed');
+    return res.status(503).json({
+      status: 'error',
+      message: 'Authentication temporarily unavailable',
+      details: 'Please retry shortly'
+    });
+  }
+
+  req.userId = decoded.userId;
+  req.tokenType = decoded.type || 'legacy'; // 'access' or 'legacy'
+  req.token = token;
+  req.tokenId = jti;
+  req.tokenExpiresAt = expiresAt;
+  req.tokenFamily = decoded.family; // Session the access token was issued for (undefined for older tokens)
+
+  next();
 };
 
 
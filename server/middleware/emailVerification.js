@@ -0,0 +1,58 @@
+/**
+ * ✅ PRODUCTION-GRADE: Email Verification Policy
+ * Features listed in UNVERIFIED_EMAIL_RESTRICTIONS (comma-separated, default "ai") answer 403
+ * until the user has verified their email address; an empty value restricts nothing.
+ * Must run after auth.
+ */
+
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+
+// Features the policy can restrict
+const RESTRICTABLE_FEATURES = {
+  ai: 'AI chat and weekly reports',
+  export: 'Entry export'
+};
+const DEFAULT_RESTRICTIONS = 'ai';
+
+/**
+ * Restricted features from a comma-separated list; unknown names fail at startup
+ */
+const parseRestrictions = (value) => {
+  const features = value.split(',').map((feature) => feature.trim()).filter(Boolean);
+
+  const unknown = features.filter((feature) => !RESTRICTABLE_FEATURES[feature]);
+  if (unknown.length) {
+    throw new Error(`Unknown UNVERIFIED_EMAIL_RESTRICTIONS feature(s): ${unknown.join(', ')} (expected: ${Object.keys(RESTRICTABLE_FEATURES).join(', ')})`);
+  }
+
+  return new Set(features);
+};
+
+const restrictions = parseRestrictions(process.env.UNVERIFIED_EMAIL_RESTRICTIONS ?? DEFAULT_RESTRICTIONS);
+
+/**
+ * @param {string} feature - key of RESTRICTABLE_FEATURES
+ */
+const requireVerifiedEmail = (feature) => {
+  if (!RESTRICTABLE_FEATURES[feature]) throw new Error(`Unknown restrictable feature "${feature}"`);
+
+  return asyncHandler(async (req, res, next) => {
+    if (!restrictions.has(feature)) return next();
+
+    const user = await User.findById(req.userId).select('emailVerified').lean();
+    if (!user?.emailVerified) {
+      logger.info({ userId: req.userId, feature }, 'Blocked: email not verified');
+      return res.status(403).json({
+        status: 'error',
+        message: 'Email verification required',
+        details: `Verify your email address to use: ${RESTRICTABLE_FEATURES[feature]}`
+      });
+    }
+
+    next();
+  });
+};
+
+module.exports = requireVerifiedEmail;
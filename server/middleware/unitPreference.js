@@ -0,0 +1,23 @@
+/**
+ * ✅ PRODUCTION-GRADE: Unit Preference Middleware
+ * Loads the user's unit system onto req.unitSystem and converts the request body to
+ * stored (metric) units before validation, so validators and models only see stored units.
+ * Must run after auth.
+ */
+
+const asyncHandler = require('../utils/asyncHandler');
+const { getUserPreferences } = require('../utils/preferences');
+
+/**
+ * @param {Function} [fromUnits] - (body, unitSystem) => body in stored units
+ */
+module.exports = (fromUnits) => asyncHandler(async (req, res, next) => {
+  const { unitSystem } = await getUserPreferences(req.userId);
+  req.unitSystem = unitSystem;
+
+  if (fromUnits && req.body && typeof req.body === 'object' && !Array.isArray(req.body)) {
+    req.body = fromUnits(req.body, unitSystem);
+  }
+
+  next();
+});
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+/**
+ * ✅ Badge awarded to a user
+ * Awards are permanent: deleting entries later does not take a badge away
+ */
+const achievementSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Badge code from utils/achievements.js BADGES
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  awardedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+// ✅ PRODUCTION: Each badge is awarded at most once per user
+achievementSchema.index({ user: 1, code: 1 }, { unique: true });
+
+module.exports = mongoose.models.Achievement || mongoose.model('Achievement', achievementSchema);
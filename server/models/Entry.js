@@ -1,4 +1,19 @@
 const mongoose = require('mongoose');
+const { NUTRIENT_SCHEMA_PATHS, SERVING_UNITS } = require('../utils/nutrition');
+const { ACTIVITY_TYPES, INTENSITIES, summarizeSessions } = require('../utils/workouts');
+const { SLEEP_TYPES, MAX_SESSION_HOURS, sessionHours } = require('../utils/sleep');
+const { SYMPTOM_NAMES, MAX_SYMPTOMS_PER_DAY, toSymptom } = require('../utils/symptoms');
+const {
+  MOOD_LEVELS,
+  MIN_MOOD_SCORE,
+  MAX_MOOD_SCORE,
+  MAX_TAGS_PER_CHECK_IN,
+  MAX_TAG_LENGTH,
+  MAX_JOURNAL_LENGTH,
+  moodLabel,
+  summarizeCheckIns
+} = require('../utils/mood');
+const { MAX_DRINK_ML, EARLIER_WATER_LABEL, totalWater } = require('../utils/water');
 
 const foodSchema = new mongoose.Schema(
   {
@@ -20,11 +35,193 @@ const foodSchema = new mongoose.Schema(
       required: true,
       min: 0,
       max: 5000
+    },
+    // ✅ Optional nutrients for the amount eaten (units in utils/nutrition.js)
+    ...NUTRIENT_SCHEMA_PATHS,
+    // Size of one serving, e.g. 150 g or 1 cup
+    servingSize: {
+      type: Number,
+      min: 0,
+      max: 10000
+    },
+    servingUnit: {
+      type: String,
+      enum: SERVING_UNITS
+    },
+    // Servings eaten; calories and nutrients are already for the whole quantity
+    quantity: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 1
+    },
+    // Library food the values were copied from, when added by reference
+    foodRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Food'
+    }
+  }
+  // ✅ Items keep their own _id so they can be addressed as /entries/:id/food/:itemId
+);
+
+const workoutSessionSchema = new mongoose.Schema(
+  {
+    activity: {
+      type: String,
+      required: true,
+      enum: ACTIVITY_TYPES
+    },
+    durationMinutes: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 1440
+    },
+    intensity: {
+      type: String,
+      enum: INTENSITIES
+    },
+    distanceKm: {
+      type: Number,
+      min: 0,
+      max: 1000
+    },
+    heartRateZone: {
+      type: Number,
+      min: 1,
+      max: 5
+    },
+    // Measured by a device, or estimated from MET values (see utils/workouts.js)
+    caloriesBurned: {
+      type: Number,
+      min: 0,
+      max: 10000
+    },
+    caloriesEstimated: {
+      type: Boolean
+    }
+  }
+  // ✅ Sessions keep their own _id so they can be addressed as /entries/:id/workouts/:sessionId
+);
+
+const sleepSessionSchema = new mongoose.Schema(
+  {
+    startedAt: {
+      type: Date,
+      required: true
+    },
+    endedAt: {
+      type: Date,
+      required: true,
+      validate: {
+        validator(endedAt) {
+          const hours = sessionHours({ startedAt: this.startedAt, endedAt });
+          return hours > 0 && hours <= MAX_SESSION_HOURS;
+        },
+        message: `endedAt must be after startedAt and at most ${MAX_SESSION_HOURS} hours later`
+      }
+    },
+    type: {
+      type: String,
+      enum: SLEEP_TYPES,
+      default: 'main'
+    },
+    awakenings: {
+      type: Number,
+      min: 0,
+      max: 50
+    },
+    // Subjective quality, 1 (poor) - 5 (excellent)
+    quality: {
+      type: Number,
+      min: 1,
+      max: 5
+    },
+    // Derived from startedAt/endedAt
+    durationHours: {
+      type: Number,
+      min: 0
+    }
+  }
+  // ✅ Sessions keep their own _id so they can be addressed as /entries/:id/sleep/:sessionId
+);
+
+const symptomSchema = new mongoose.Schema(
+  {
+    // Canonical name from the vocabulary in utils/symptoms.js
+    name: {
+      type: String,
+      required: true,
+      enum: SYMPTOM_NAMES
+    },
+    // 1 (barely noticeable) - 10 (worst imaginable); absent for symptoms logged before severities
+    severity: {
+      type: Number,
+      min: 1,
+      max: 10
+    },
+    onsetAt: {
+      type: Date
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 500
     }
   },
   { _id: false }
 );
 
+const moodCheckInSchema = new mongoose.Schema(
+  {
+    at: {
+      type: Date,
+      required: true
+    },
+    score: {
+      type: Number,
+      required: true,
+      min: MIN_MOOD_SCORE,
+      max: MAX_MOOD_SCORE
+    },
+    tags: {
+      type: [{ type: String, trim: true, lowercase: true, maxlength: MAX_TAG_LENGTH }],
+      default: [],
+      validate: {
+        validator: (tags) => tags.length <= MAX_TAGS_PER_CHECK_IN,
+        message: `At most ${MAX_TAGS_PER_CHECK_IN} tags per check-in`
+      }
+    },
+    journal: {
+      type: String,
+      trim: true,
+      maxlength: MAX_JOURNAL_LENGTH
+    }
+  }
+  // ✅ Check-ins keep their own _id so they can be addressed as /entries/:id/mood/:checkInId
+);
+
+const waterEventSchema = new mongoose.Schema(
+  {
+    at: {
+      type: Date,
+      required: true
+    },
+    volumeMl: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: MAX_DRINK_ML
+    },
+    // Name of the preset used, kept as text so deleting the preset doesn't change history
+    label: {
+      type: String,
+      trim: true,
+      maxlength: 50
+    }
+  }
+);
+
 const entrySchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -42,48 +239,236 @@ const entrySchema = new mongoose.Schema({
     min: 0,
     max: 10000
   },
+  // ✅ true when the user set `calories` explicitly; otherwise it is the sum of foodIntake
+  caloriesOverride: {
+    type: Boolean,
+    default: false
+  },
+  // ✅ Hours slept; the total of sleepSessions whenever they change
   sleep: { 
     type: Number, 
     default: 0,
     min: 0,
     max: 24
   },
+  sleepSessions: {
+    type: [sleepSessionSchema],
+    default: []
+  },
+  // ✅ Legacy flag; kept true whenever there are workout sessions
   workouts: { 
     type: Boolean, 
     default: false 
   },
+  workoutSessions: {
+    type: [workoutSessionSchema],
+    default: []
+  },
+  // Total of the sessions' caloriesBurned
+  caloriesBurned: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   foodIntake: {
     type: [foodSchema],
     default: []
   },
+  // ✅ Daily resting heart rate when intraday samples exist (see heartRateSummary)
   heartRate: {
     type: Number,
     default: 0,
     min: 0,
     max: 220
   },
+  // Computed from HeartRateSample documents for this day
+  heartRateSummary: {
+    type: new mongoose.Schema({
+      resting: Number,
+      avg: Number,
+      min: Number,
+      max: Number,
+      samples: Number
+    }, { _id: false }),
+    default: undefined
+  },
   steps: {
     type: Number,
     default: 0,
     min: 0
   },
   symptoms: {
-    type: [String],
+    type: [symptomSchema],
     default: [],
-    maxlength: 10
+    validate: {
+      validator: (symptoms) => symptoms.length <= MAX_SYMPTOMS_PER_DAY,
+      message: `At most ${MAX_SYMPTOMS_PER_DAY} symptoms per day`
+    }
   },
+  // ✅ Label of the day's mood; derived from moodCheckIns when there are any
   mood: {
     type: String,
-    enum: ['poor', 'fair', 'good', 'excellent'],
-    default: 'neutral'
+    enum: MOOD_LEVELS
+  },
+  // Numeric mood (1-5) for stats: the check-in average, or the score of a directly set label
+  moodScore: {
+    type: Number,
+    min: MIN_MOOD_SCORE,
+    max: MAX_MOOD_SCORE
+  },
+  moodCheckIns: {
+    type: [moodCheckInSchema],
+    default: []
+  },
+  // Derived from moodCheckIns
+  moodSummary: {
+    type: new mongoose.Schema({
+      avg: Number,
+      min: Number,
+      max: Number,
+      checkIns: Number,
+      tags: [String]
+    }, { _id: false }),
+    default: undefined
   },
+  // ✅ Total in ml; derived from waterEvents when there are any
   waterIntake: {
     type: Number,
     default: 0,
     min: 0
+  },
+  waterEvents: {
+    type: [waterEventSchema],
+    default: []
   }
 }, { timestamps: true });
 
+/**
+ * Set `calories` to the total of the food items unless the user overrides it
+ * Returns true if the value changed
+ */
+entrySchema.methods.recalculateCalories = function () {
+  if (this.caloriesOverride) return false;
+
+  const total = (this.foodIntake || []).reduce((sum, item) => sum + (item.calories || 0), 0);
+  if (this.calories === total) return false;
+
+  this.calories = total;
+  return true;
+};
+
+/**
+ * Estimate calories for the workout sessions and derive `caloriesBurned` and `workouts` from them
+ */
+entrySchema.methods.recalculateWorkouts = function () {
+  const { sessions, caloriesBurned } = summarizeSessions(
+    this.workoutSessions.map((session) => session.toObject())
+  );
+
+  sessions.forEach((session, index) => {
+    this.workoutSessions[index].caloriesBurned = session.caloriesBurned;
+    this.workoutSessions[index].caloriesEstimated = session.caloriesEstimated;
+  });
+  this.caloriesBurned = caloriesBurned;
+  this.workouts = sessions.length > 0;
+};
+
+/**
+ * Derive each sleep session's duration and the day's `sleep` total from the sessions
+ * Totals above 24 h (overlapping sessions) are capped by the schema's max and fail validation
+ */
+entrySchema.methods.recalculateSleep = function () {
+  let total = 0;
+  this.sleepSessions.forEach((session) => {
+    session.durationHours = sessionHours(session);
+    total += session.durationHours;
+  });
+  this.sleep = Math.round(total * 100) / 100;
+};
+
+/**
+ * Derive the day's `waterIntake` from the logged drinks
+ */
+entrySchema.methods.recalculateWater = function () {
+  this.waterIntake = totalWater(this.waterEvents);
+};
+
+/**
+ * Log a drink and return the stored event
+ * A total written before the day had any drinks (manual entry, import) is kept as
+ * earlier drinks labelled EARLIER_WATER_LABEL, so the first drink doesn't replace it
+ */
+entrySchema.methods.addWaterEvent = function (event) {
+  if (!this.waterEvents.length && this.waterIntake > 0) {
+    // Split so each part fits the per-drink maximum
+    for (let remaining = Math.round(this.waterIntake); remaining >= 1; remaining -= MAX_DRINK_ML) {
+      this.waterEvents.push({ at: event.at, volumeMl: Math.min(remaining, MAX_DRINK_ML), label: EARLIER_WATER_LABEL });
+    }
+  }
+
+  this.waterEvents.push(event);
+  return this.waterEvents[this.waterEvents.length - 1];
+};
+
+/**
+ * Entry for a user's day, created if it doesn't exist yet
+ */
+entrySchema.statics.findOrCreateForDay = async function (userId, date) {
+  const upsert = () => this.findOneAndUpdate(
+    { user: userId, date },
+    {},
+    { new: true, upsert: true }
+  );
+
+  try {
+    return await upsert();
+  } catch (err) {
+    // Two concurrent upserts can both try to insert; the loser retries as a lookup
+    if (err.code !== 11000) throw err;
+    return upsert();
+  }
+};
+
+/**
+ * Derive the daily mood summary, score and label from the check-ins
+ * Removing the last check-in clears them
+ */
+entrySchema.methods.recalculateMood = function () {
+  const summary = summarizeCheckIns(this.moodCheckIns);
+
+  this.moodSummary = summary || undefined;
+  this.moodScore = summary ? summary.avg : undefined;
+  this.mood = summary ? moodLabel(summary.avg) : undefined;
+};
+
+// ✅ Entries saved before symptoms were structured hold plain strings; read them as unrated symptoms
+// (scripts/migrate-symptoms.js rewrites them in place)
+entrySchema.pre('init', function (raw) {
+  if (Array.isArray(raw.symptoms) && raw.symptoms.some((symptom) => typeof symptom === 'string')) {
+    raw.symptoms = raw.symptoms.map(toSymptom);
+  }
+});
+
+// ✅ Keep derived totals (calories, workouts, sleep, mood, water) in step with their items on every save
+entrySchema.pre('save', function (next) {
+  if (this.isModified('foodIntake') || this.isModified('caloriesOverride')) {
+    this.recalculateCalories();
+  }
+  if (this.isModified('workoutSessions')) {
+    this.recalculateWorkouts();
+  }
+  if (this.isModified('sleepSessions')) {
+    this.recalculateSleep();
+  }
+  if (this.isModified('moodCheckIns')) {
+    this.recalculateMood();
+  }
+  if (this.isModified('waterEvents')) {
+    this.recalculateWater();
+  }
+  next();
+});
+
 // ✅ PRODUCTION: Compound unique index on (user, date) - prevents duplicate daily entries
 entrySchema.index({ user: 1, date: 1 }, { unique: true });
 
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { NUTRIENT_SCHEMA_PATHS, SERVING_UNITS } = require('../utils/nutrition');
+
+/**
+ * ✅ Food library item
+ * Either part of the shared catalog (seeded from the bundled dataset, no owner)
+ * or a custom food visible only to the user who created it.
+ * Calories and nutrients are per serving.
+ */
+const foodSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  brand: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  // null for catalog foods
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  source: {
+    type: String,
+    enum: ['dataset', 'custom'],
+    default: 'custom'
+  },
+  // Key of the food in the dataset it was seeded from
+  externalId: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  servingSize: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 10000
+  },
+  servingUnit: {
+    type: String,
+    required: true,
+    enum: SERVING_UNITS
+  },
+  calories: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 5000
+  },
+  ...NUTRIENT_SCHEMA_PATHS,
+  // Lowercased words of name and brand, for prefix search (see utils/foods.js)
+  keywords: {
+    type: [String],
+    default: []
+  }
+}, { timestamps: true });
+
+/**
+ * Lowercased, accent-free words of a text
+ */
+foodSchema.statics.toKeywords = (text = '') => text
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+// ✅ Keep search keywords in step with name and brand
+foodSchema.pre('validate', function (next) {
+  if (this.isModified('name') || this.isModified('brand')) {
+    this.keywords = [...new Set(this.constructor.toKeywords(`${this.name} ${this.brand || ''}`))];
+  }
+  next();
+});
+
+// ✅ PRODUCTION: Prefix search within the catalog (owner null) and a user's own foods
+foodSchema.index({ owner: 1, keywords: 1 });
+
+// ✅ PRODUCTION: Seeding is idempotent per dataset food
+foodSchema.index(
+  { source: 1, externalId: 1 },
+  { unique: true, partialFilterExpression: { externalId: { $type: 'string' } } }
+);
+
+module.exports = mongoose.models.Food || mongoose.model('Food', foodSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * ✅ Effective-dated health goals
+ * Each document is one version of a user's targets, in force from `effectiveFrom`
+ * until the next version starts. Past days keep being measured against the
+ * version that was in force at the time.
+ */
+const goalSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Entry day (midnight UTC of the user's calendar day) this version starts on
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  calories: {
+    min: { type: Number, min: 0, max: 10000 },
+    max: { type: Number, min: 0, max: 10000 }
+  },
+  sleep: {
+    type: Number,
+    min: 0,
+    max: 24
+  },
+  steps: {
+    type: Number,
+    min: 0,
+    max: 100000
+  },
+  waterIntake: {
+    type: Number,
+    min: 0,
+    max: 20000
+  },
+  // Workout days per week
+  workoutDays: {
+    type: Number,
+    min: 0,
+    max: 7
+  }
+}, { timestamps: true });
+
+goalSchema.path('calories.max').validate(function (max) {
+  const min = this.calories?.min;
+  return max === undefined || max === null || min === undefined || min === null || max >= min;
+}, 'Calorie max must not be below calorie min');
+
+// ✅ PRODUCTION: One version per user per start day; also serves "latest version on or before a day"
+goalSchema.index({ user: 1, effectiveFrom: -1 }, { unique: true });
+
+module.exports = mongoose.models.Goal || mongoose.model('Goal', goalSchema);
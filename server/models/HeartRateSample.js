@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+/**
+ * ✅ Intraday heart-rate sample (e.g. from a wearable)
+ * Stored in a MongoDB time-series collection: one document per reading,
+ * bucketed by `meta` (user + source) and `timestamp`
+ */
+const heartRateSampleSchema = new mongoose.Schema({
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  bpm: {
+    type: Number,
+    required: true,
+    min: 20,
+    max: 250
+  },
+  meta: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Device or app that recorded the sample
+    source: {
+      type: String,
+      trim: true,
+      maxlength: 50
+    }
+  }
+}, {
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'meta',
+    granularity: 'seconds'
+  },
+  versionKey: false
+});
+
+// ✅ PRODUCTION: Range reads per user
+heartRateSampleSchema.index({ 'meta.user': 1, timestamp: 1 });
+
+module.exports = mongoose.models.HeartRateSample
+  || mongoose.model('HeartRateSample', heartRateSampleSchema);
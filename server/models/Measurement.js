@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { MEASUREMENT_FIELDS, MEASUREMENT_SCHEMA_PATHS } = require('../utils/measurements');
+
+/**
+ * ✅ Body measurement: weight, body-fat percentage and circumferences
+ * Stored in metric units. `date` is the entry day it was taken on (see utils/dates);
+ * `entry` optionally links it to that day's entry.
+ */
+const measurementSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  measuredAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  ...MEASUREMENT_SCHEMA_PATHS,
+  entry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Entry'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, { timestamps: true });
+
+// ✅ A measurement without any value is meaningless
+measurementSchema.pre('validate', function (next) {
+  if (!MEASUREMENT_FIELDS.some((field) => typeof this[field] === 'number')) {
+    this.invalidate('weightKg', 'At least one measurement value is required');
+  }
+  next();
+});
+
+// ✅ PRODUCTION: Range reads and "latest" lookups per user
+measurementSchema.index({ user: 1, measuredAt: -1 });
+
+// ✅ Unlinking when an entry is deleted
+measurementSchema.index({ entry: 1 }, { sparse: true });
+
+module.exports = mongoose.models.Measurement || mongoose.model('Measurement', measurementSchema);
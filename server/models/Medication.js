@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const {
+  MEDICATION_KINDS,
+  DOSE_UNITS,
+  SCHEDULE_TYPES,
+  MAX_DOSES_PER_DAY,
+  TIME_OF_DAY
+} = require('../utils/medications');
+
+/**
+ * ✅ Medication or supplement a user takes, with its dose and schedule
+ * Doses are expected from `startDate` through `endDate` (entry days, see utils/dates);
+ * setting `endDate` stops a medication without losing its history.
+ */
+const medicationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  kind: {
+    type: String,
+    enum: MEDICATION_KINDS,
+    default: 'medication'
+  },
+  dose: {
+    amount: { type: Number, min: 0, max: 100000 },
+    unit: { type: String, enum: DOSE_UNITS }
+  },
+  schedule: {
+    type: {
+      type: String,
+      enum: SCHEDULE_TYPES,
+      required: true,
+      default: 'daily'
+    },
+    // Doses per day for `daily`
+    timesPerDay: {
+      type: Number,
+      min: 1,
+      max: MAX_DOSES_PER_DAY
+    },
+    // Local clock times ("HH:MM") for `times`
+    times: {
+      type: [{ type: String, match: TIME_OF_DAY }],
+      default: undefined
+    }
+  },
+  instructions: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date
+  }
+}, { timestamps: true });
+
+// ✅ Keep the schedule consistent with its type
+medicationSchema.pre('validate', function (next) {
+  const { schedule } = this;
+
+  if (schedule.type === 'times') {
+    schedule.times = [...new Set(schedule.times || [])].sort();
+    if (!schedule.times.length || schedule.times.length > MAX_DOSES_PER_DAY) {
+      this.invalidate('schedule.times', `A times schedule needs 1-${MAX_DOSES_PER_DAY} times`);
+    }
+    schedule.timesPerDay = undefined;
+  } else {
+    schedule.times = undefined;
+    if (schedule.type === 'as_needed') schedule.timesPerDay = undefined;
+  }
+
+  if (this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'endDate must not be before startDate');
+  }
+  next();
+});
+
+// ✅ PRODUCTION: Listing a user's medications
+medicationSchema.index({ user: 1, name: 1 });
+
+module.exports = mongoose.models.Medication || mongoose.model('Medication', medicationSchema);
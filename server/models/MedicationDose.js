@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { DOSE_STATUSES, TIME_OF_DAY } = require('../utils/medications');
+
+/**
+ * ✅ One logged dose of a medication: taken or skipped
+ * `date` is the entry day the dose counts for; `scheduledTime` ties it to a
+ * slot of a `times` schedule.
+ */
+const medicationDoseSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  medication: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medication',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DOSE_STATUSES,
+    required: true
+  },
+  takenAt: {
+    type: Date
+  },
+  scheduledTime: {
+    type: String,
+    match: TIME_OF_DAY
+  },
+  // Amount actually taken when it differs from the medication's dose
+  amount: {
+    type: Number,
+    min: 0,
+    max: 100000
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, { timestamps: true });
+
+// ✅ PRODUCTION: Dose history per medication and adherence over a range
+medicationDoseSchema.index({ medication: 1, date: -1 });
+medicationDoseSchema.index({ user: 1, date: 1 });
+
+module.exports = mongoose.models.MedicationDose
+  || mongoose.model('MedicationDose', medicationDoseSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+/**
+ * ✅ Access token revoked before it expired (MongoDB revocation store)
+ * Keyed by the token's `jti`; MongoDB removes the record once the token would have expired anyway
+ */
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+revokedTokenSchema.index({ jti: 1 }, { unique: true });
+// ✅ PRODUCTION: TTL index - the record is deleted when the token expires
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.RevokedToken || mongoose.model('RevokedToken', revokedTokenSchema);
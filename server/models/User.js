@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../utils/dates');
+const { UNIT_SYSTEMS, DEFAULT_UNIT_SYSTEM } = require('../utils/units');
+const { MAX_SESSION_LABEL_LENGTH } = require('../utils/sessions');
 
 const userSchema = new mongoose.Schema({
   name: { 
@@ -20,21 +23,63 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
-  // ✅ PRODUCTION: Refresh tokens stored in DB for revocation
+  // ✅ IANA timezone used to decide which calendar day entries and reports fall on
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimezone,
+      message: 'Invalid timezone'
+    }
+  },
+  // ✅ PRODUCTION: Set once the user opens the link emailed on register
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Pending email verification (hash of the emailed token); cleared when used
+  emailVerification: {
+    tokenHash: { type: String },
+    expiresAt: { type: Date }
+  },
+  // ✅ PRODUCTION: Pending password reset (hash of the emailed token); cleared when used
+  passwordReset: {
+    tokenHash: { type: String },
+    expiresAt: { type: Date }
+  },
+  // ✅ Units the user sends and receives; data is always stored in metric
+  unitSystem: {
+    type: String,
+    enum: UNIT_SYSTEMS,
+    default: DEFAULT_UNIT_SYSTEM
+  },
+  // ✅ Height for BMI; stored in centimetres
+  heightCm: {
+    type: Number,
+    min: 50,
+    max: 272
+  },
+  // ✅ PRODUCTION: Refresh tokens stored in DB (as SHA-256 hashes) for revocation
+  // One entry per token family (login session / device); rotation replaces the token in place
   refreshTokens: [{
-    token: { type: String, required: true },
+    // Not required: entries stored before hashing lack it until migrate:refresh-tokens runs
+    tokenHash: { type: String },
+    family: { type: String },
     expiresAt: { type: Date, required: true },
-    createdAt: { type: Date, default: Date.now }
-  }],
-  // ✅ PRODUCTION: Token revocation list (for immediate logout)
-  revokedTokens: [{
-    token: { type: String, required: true },
-    revokedAt: { type: Date, default: Date.now }
+    createdAt: { type: Date, default: Date.now },
+    rotatedAt: { type: Date },
+    // Device metadata, shown by GET /auth/sessions
+    lastUsedAt: { type: Date, default: Date.now },
+    userAgent: { type: String },
+    ip: { type: String },
+    label: { type: String, trim: true, maxlength: MAX_SESSION_LABEL_LENGTH }
   }]
 }, { timestamps: true });
 
 // ✅ PRODUCTION: Index for faster refresh token lookups
-userSchema.index({ 'refreshTokens.token': 1 });
+userSchema.index({ 'refreshTokens.tokenHash': 1 });
+userSchema.index({ 'passwordReset.tokenHash': 1 }, { sparse: true });
+userSchema.index({ 'emailVerification.tokenHash': 1 }, { sparse: true });
 // Note: email index is created automatically by 'unique: true' on email field
 
 module.exports = mongoose.model('User', userSchema);
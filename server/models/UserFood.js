@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+/**
+ * ✅ A user's relationship with a library food
+ * Tracks favorites and how often / how recently the food was logged
+ */
+const userFoodSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  food: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Food',
+    required: true
+  },
+  favorite: {
+    type: Boolean,
+    default: false
+  },
+  useCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastUsedAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+// ✅ PRODUCTION: One record per user and food
+userFoodSchema.index({ user: 1, food: 1 }, { unique: true });
+
+// ✅ PRODUCTION: Recent foods list
+userFoodSchema.index({ user: 1, lastUsedAt: -1 });
+
+module.exports = mongoose.models.UserFood || mongoose.model('UserFood', userFoodSchema);
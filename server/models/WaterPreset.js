@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const { MAX_DRINK_ML, MAX_PRESET_NAME_LENGTH } = require('../utils/water');
+
+/**
+ * ✅ A named container for quick water logging ("bottle" = 500 ml)
+ */
+const waterPresetSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: MAX_PRESET_NAME_LENGTH
+  },
+  volumeMl: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: MAX_DRINK_ML
+  }
+}, { timestamps: true });
+
+// ✅ PRODUCTION: One preset per name per user (names are matched case-insensitively)
+waterPresetSchema.index(
+  { user: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+module.exports = mongoose.models.WaterPreset || mongoose.model('WaterPreset', waterPresetSchema);
@@ -0,0 +1,41 @@
+/**
+ * ✅ PRODUCTION-GRADE: Achievements Routes
+ * Streaks and badges computed from the user's entries
+ */
+
+const express = require('express');
+const auth = require('../middleware/authmiddleware');
+const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+const { BADGES, computeStreaks, getAchievements } = require('../utils/achievements');
+
+const router = express.Router();
+
+/* =========================================================
+   STREAKS, EARNED BADGES AND THE FULL CATALOG
+========================================================= */
+router.get(
+  '/',
+  auth,
+  asyncHandler(async (req, res) => {
+    logger.info({ userId: req.userId }, 'Fetching achievements');
+
+    const [streaks, earned] = await Promise.all([
+      computeStreaks(req.userId),
+      getAchievements(req.userId)
+    ]);
+
+    const earnedCodes = new Set(earned.map((badge) => badge.code));
+
+    res.json({
+      status: 'success',
+      data: {
+        streaks,
+        earned,
+        available: BADGES.map((badge) => ({ ...badge, earned: earnedCodes.has(badge.code) }))
+      }
+    });
+  })
+);
+
+module.exports = router;
@@ -9,10 +9,11 @@ const axios = require('axios');
 const rateLimit = require('express-rate-limit');
 const { validationResult } = require('express-validator');
 const authMiddleware = require('../middleware/authmiddleware');
+const requireVerifiedEmail = require('../middleware/emailVerification');
 const asyncHandler = require('../utils/asyncHandler');
 const logger = require('../utils/logger');
 const { sanitizeMessage } = require('../utils/sanitizer');
-const Entry = require('../models/Entry');
+const { buildWeeklyReport } = require('../utils/weeklyReport');
 const { aiChatValidator, aiReportValidator } = require('../utils/validators');
 
 const router = express.Router();
@@ -92,6 +93,7 @@ const callGroqAPISync = async (messages, temperature = 0.7) => {
 router.post(
   '/chat',
   authMiddleware,
+  requireVerifiedEmail('ai'),
   aiRateLimiter,
   aiChatValidator,
   asyncHandler(async (req, res) => {
@@ -164,6 +166,7 @@ router.post(
 router.post(
   '/weekly-report',
   authMiddleware,
+  requireVerifiedEmail('ai'),
   aiRateLimiter,
   aiReportValidator,
   asyncHandler(async (req, res) => {
@@ -193,17 +196,9 @@ router.post(
       // ✅ FALLBACK: Synchronous mode
       logger.info({ userId }, 'Processing weekly report synchronously');
 
-      // Last 7 days
-      const startDate = new Date();
-      startDate.setHours(0, 0, 0, 0);
-      startDate.setDate(startDate.getDate() - 6);
+      const weekly = await buildWeeklyReport(userId);
 
-      const entries = await Entry.find({
-        user: userId,
-        date: { $gte: startDate }
-      }).sort({ date: 1 });
-
-      if (!entries.length) {
+      if (!weekly) {
         logger.info({ userId }, 'No entries found for weekly report');
         return res.status(404).json({
           status: 'error',
@@ -211,50 +206,12 @@ router.post(
         });
       }
 
-      let totalCalories = 0;
-      let totalSleep = 0;
-      let workoutDays = 0;
-      const foodSummary = [];
-
-      entries.forEach((entry) => {
-        totalCalories += entry.calories || 0;
-        totalSleep += entry.sleep || 0;
-        if (entry.workouts) workoutDays++;
-        if (Array.isArray(entry.foodIntake)) {
-          entry.foodIntake.forEach((item) => {
-            foodSummary.push(
-              `${item.meal}: ${item.food} (${item.calories} kcal)`
-            );
-          });
-        }
-      });
-
-      const avgCalories = Math.round(totalCalories / entries.length);
-      const avgSleep = (totalSleep / entries.length).toFixed(1);
-
-      const prompt = `
-Weekly health summary (${entries.length} days of data):
-
-- Average daily calories: ${avgCalories} kcal
-- Average sleep: ${avgSleep} hours
-- Workout days: ${workoutDays} / 7
-- Food intake:
-${foodSummary.slice(0, 20).join('\n')}
-
-Write a concise, encouraging weekly health report (150-200 words).
-Include:
-1. Positive habits observed
-2. Areas for improvement
-3. One practical lifestyle suggestion
-Avoid medical advice.
-`;
-
       const report = await callGroqAPISync([
         {
           role: 'system',
           content: 'You are a friendly health assistant. No medical advice.'
         },
-        { role: 'user', content: prompt }
+        { role: 'user', content: weekly.prompt }
       ]);
 
       logger.info({ userId }, 'Weekly report completed successfully');
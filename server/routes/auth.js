@@ -1,21 +1,34 @@
 /**
  * ✅ PRODUCTION-GRADE: Auth Routes with JWT Refresh Tokens
  * Implements short-lived accessToken (15min) + long-lived refreshToken (7d)
+ * Refresh tokens are single-use: every refresh rotates them within a token family
  * Maintains backward compatibility with existing frontend
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const { validationResult } = require('express-validator');
 const User = require('../models/User');
 const auth = require('../middleware/authmiddleware');
+const unitPreference = require('../middleware/unitPreference');
 const asyncHandler = require('../utils/asyncHandler');
 const logger = require('../utils/logger');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { describeUserAgent, deviceOf } = require('../utils/sessions');
+const { passwordResetEmail, verificationEmail } = require('../utils/emails');
+const { unitsFor, profileFromUnits, profileToUnits } = require('../utils/units');
 const {
   registerValidator,
   loginValidator,
-  refreshTokenValidator
+  refreshTokenValidator,
+  forgotPasswordValidator,
+  resetPasswordValidator,
+  verifyEmailValidator,
+  updateProfileValidator,
+  sessionIdValidator
 } = require('../utils/validators');
 
 const router = express.Router();
@@ -24,26 +37,92 @@ const router = express.Router();
 const ACCESS_TOKEN_EXPIRY = '15m';
 const REFRESH_TOKEN_EXPIRY = '7d';
 const REFRESH_TOKEN_EXPIRY_MS = 7 * 24 * 60 * 60 * 1000; // 7 days in ms
+const PASSWORD_RESET_EXPIRY_MINUTES = 60;
+const EMAIL_VERIFICATION_EXPIRY_HOURS = 24;
+
+// ✅ PRODUCTION: Rate limiter for password reset and verification emails (each request can send an email)
+const accountEmailRateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // Max 5 requests per IP per window
+  message: 'Too many account email requests. Please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * Short-lived accessToken, tied to the session (token family) it was issued for
+ */
+const generateAccessToken = (userId, family) => jwt.sign(
+  { userId, type: 'access', family },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_EXPIRY, jwtid: crypto.randomUUID() } // jti is the revocation key
+);
+
+/**
+ * Long-lived refreshToken in a token family
+ * Every token gets its own jti, so two tokens signed in the same second never collide
+ */
+const generateRefreshToken = (userId, family) => jwt.sign(
+  { userId, type: 'refresh', family },
+  process.env.JWT_SECRET,
+  { expiresIn: REFRESH_TOKEN_EXPIRY, jwtid: crypto.randomUUID() }
+);
+
+/**
+ * Generate accessToken and refreshToken for a new login session (a new token family)
+ * The refresh token is added to the user with the request's device metadata; the caller saves
+ */
+const generateTokens = (user, req) => {
+  const family = crypto.randomUUID();
+  const refreshToken = generateRefreshToken(user._id, family);
+  const device = deviceOf(req);
+
+  // ✅ PRODUCTION: Store only the refresh token's hash in DB
+  user.refreshTokens.push({
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRY_MS),
+    ...device,
+    label: req.body.label || describeUserAgent(device.userAgent)
+  });
+
+  return { accessToken: generateAccessToken(user._id, family), refreshToken };
+};
+
+/**
+ * Stored form of an emailed single-use token (password reset, email verification): only its hash
+ */
+const emailTokenRecord = (token, expiresInMinutes) => ({
+  tokenHash: hashToken(token),
+  expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000)
+});
 
 /**
- * Generate accessToken and refreshToken
+ * Email a verification link
+ * Not awaited by callers: a failure is logged and the user can ask for another email
  */
-const generateTokens = (userId) => {
-  // ✅ Short-lived accessToken
-  const accessToken = jwt.sign(
-    { userId, type: 'access' },
-    process.env.JWT_SECRET,
-    { expiresIn: ACCESS_TOKEN_EXPIRY }
-  );
-
-  // ✅ Long-lived refreshToken
-  const refreshToken = jwt.sign(
-    { userId, type: 'refresh' },
-    process.env.JWT_SECRET,
-    { expiresIn: REFRESH_TOKEN_EXPIRY }
-  );
-
-  return { accessToken, refreshToken };
+const sendVerificationEmail = (req, user, token) => req.app.locals.mailer
+  .send({
+    to: user.email,
+    ...verificationEmail({ name: user.name, token, expiresInHours: EMAIL_VERIFICATION_EXPIRY_HOURS })
+  })
+  .then(() => logger.info({ userId: user._id }, 'Verification email sent'))
+  .catch((err) => logger.error({ userId: user._id, error: err.message }, 'Verification email failed'));
+
+/**
+ * Revoke every refresh token of a family after one of its rotated tokens was presented again
+ * Either the legitimate client or an attacker holds a stolen copy; neither can refresh any more
+ */
+const revokeTokenFamily = async (userId, family, req) => {
+  await User.updateOne({ _id: userId }, { $pull: { refreshTokens: { family } } });
+
+  logger.error({
+    securityIncident: 'refresh_token_reuse',
+    userId,
+    family,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  }, 'Security incident: refresh token reuse detected, token family revoked');
 };
 
 // ===== REGISTER =====
@@ -61,7 +140,7 @@ router.post(
       });
     }
 
-    const { name, email, password } = req.body;
+    const { name, email, password, timezone, unitSystem } = req.body;
 
     let user = await User.findOne({ email });
     if (user) {
@@ -73,20 +152,25 @@ router.post(
     }
 
     const hashedPassword = await bcrypt.hash(password, 10);
-    user = new User({ name, email, password: hashedPassword });
+    // ✅ PRODUCTION: The account works right away; the email address is verified separately
+    const verificationToken = generateToken();
+    user = new User({
+      name,
+      email,
+      password: hashedPassword,
+      timezone,
+      unitSystem,
+      emailVerification: emailTokenRecord(verificationToken, EMAIL_VERIFICATION_EXPIRY_HOURS * 60)
+    });
     await user.save();
 
-    const { accessToken, refreshToken } = generateTokens(user._id);
-
-    // ✅ PRODUCTION: Store refresh token in DB
-    user.refreshTokens.push({
-      token: refreshToken,
-      expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRY_MS)
-    });
+    const { accessToken, refreshToken } = generateTokens(user, req);
     await user.save();
 
     logger.info({ userId: user._id, email }, 'User registered successfully');
 
+    sendVerificationEmail(req, user, verificationToken);
+
     // ✅ BACKWARD COMPATIBILITY: Also return legacy 'token' field
     res.status(201).json({
       status: 'success',
@@ -94,7 +178,8 @@ router.post(
       accessToken,
       refreshToken,
       token: accessToken, // Legacy field for existing frontend
-      userId: user._id
+      userId: user._id,
+      emailVerified: user.emailVerified
     });
   })
 );
@@ -134,16 +219,11 @@ router.post(
       });
     }
 
-    const { accessToken, refreshToken } = generateTokens(user._id);
-
-    // ✅ PRODUCTION: Store refresh token in DB
-    user.refreshTokens.push({
-      token: refreshToken,
-      expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRY_MS)
-    });
+    const { accessToken, refreshToken } = generateTokens(user, req);
 
     // ✅ PRODUCTION: Clean up expired refresh tokens
-    user.refreshTokens = user.refreshTokens.filter(rt => rt.expiresAt > Date.now());
+    // (and unhashed ones stored before hashing, which can no longer be used)
+    user.refreshTokens = user.refreshTokens.filter(rt => rt.tokenHash && rt.expiresAt > Date.now());
 
     await user.save();
 
@@ -156,7 +236,8 @@ router.post(
       accessToken,
       refreshToken,
       token: accessToken, // Legacy field for existing frontend
-      userId: user._id
+      userId: user._id,
+      emailVerified: user.emailVerified
     });
   })
 );
@@ -200,11 +281,21 @@ router.post(
         });
       }
 
-      const tokenExists = user.refreshTokens.some(
-        rt => rt.token === refreshToken && rt.expiresAt > Date.now()
-      );
+      const tokenHash = hashToken(refreshToken);
+      const storedToken = user.refreshTokens.find(rt => rt.tokenHash === tokenHash);
+
+      // ✅ PRODUCTION: Reuse detection - a validly signed token whose family is still
+      // active but which is no longer the family's current token was already rotated
+      if (!storedToken && decoded.family && user.refreshTokens.some(rt => rt.family === decoded.family)) {
+        await revokeTokenFamily(user._id, decoded.family, req);
+        return res.status(401).json({
+          status: 'error',
+          message: 'Refresh token reuse detected',
+          details: 'Please login again'
+        });
+      }
 
-      if (!tokenExists) {
+      if (!storedToken || storedToken.expiresAt <= Date.now()) {
         logger.warn({ userId: decoded.userId }, 'Refresh token not found or expired in DB');
         return res.status(401).json({
           status: 'error',
@@ -212,18 +303,46 @@ router.post(
         });
       }
 
-      // ✅ Generate new accessToken
-      const newAccessToken = jwt.sign(
-        { userId: user._id, type: 'access' },
-        process.env.JWT_SECRET,
-        { expiresIn: ACCESS_TOKEN_EXPIRY }
+      // ✅ PRODUCTION: Rotate - the new token replaces the old one in the same family
+      // Tokens issued before rotation existed start a family here
+      const family = storedToken.family || crypto.randomUUID();
+      const newRefreshToken = generateRefreshToken(user._id, family);
+
+      const { userAgent, ip } = deviceOf(req);
+
+      // Conditional on the old token, so only one of two concurrent refreshes can win
+      const rotation = await User.updateOne(
+        { _id: user._id, 'refreshTokens.tokenHash': tokenHash },
+        {
+          $set: {
+            'refreshTokens.$.tokenHash': hashToken(newRefreshToken),
+            'refreshTokens.$.family': family,
+            'refreshTokens.$.expiresAt': new Date(Date.now() + REFRESH_TOKEN_EXPIRY_MS),
+            'refreshTokens.$.rotatedAt': new Date(),
+            'refreshTokens.$.lastUsedAt': new Date(),
+            'refreshTokens.$.userAgent': userAgent,
+            'refreshTokens.$.ip': ip
+          }
+        }
       );
 
-      logger.info({ userId: user._id }, 'Access token refreshed');
+      if (!rotation.modifiedCount) {
+        await revokeTokenFamily(user._id, family, req);
+        return res.status(401).json({
+          status: 'error',
+          message: 'Refresh token reuse detected',
+          details: 'Please login again'
+        });
+      }
+
+      const newAccessToken = generateAccessToken(user._id, family);
+
+      logger.info({ userId: user._id }, 'Tokens refreshed');
 
       res.json({
         status: 'success',
         accessToken: newAccessToken,
+        refreshToken: newRefreshToken,
         token: newAccessToken // Legacy field
       });
     } catch (err) {
@@ -253,31 +372,395 @@ router.post(
       });
     }
 
-    // ✅ PRODUCTION: Revoke refresh token
+    // ✅ PRODUCTION: Revoke this session's refresh token
+    // (other devices are signed out with DELETE /auth/sessions)
     if (refreshToken) {
-      user.refreshTokens = user.refreshTokens.filter(rt => rt.token !== refreshToken);
+      const tokenHash = hashToken(refreshToken);
+      user.refreshTokens = user.refreshTokens.filter(rt => rt.tokenHash !== tokenHash);
+    } else if (req.tokenFamily) {
+      user.refreshTokens = user.refreshTokens.filter(rt => rt.family !== req.tokenFamily);
+    }
+
+    await user.save();
+
+    // ✅ PRODUCTION: Revoke the current access token until it expires
+    await req.app.locals.revocationStore.revoke({
+      jti: req.tokenId,
+      expiresAt: req.tokenExpiresAt,
+      userId: user._id
+    });
+
+    logger.info({ userId: user._id }, 'User logged out');
+
+    res.json({
+      status: 'success',
+      message: 'Logged out successfully'
+    });
+  })
+);
+
+// ===== PASSWORD RESET =====
+router.post(
+  '/forgot-password',
+  accountEmailRateLimiter,
+  forgotPasswordValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ errors: errors.array() }, 'Forgot password validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+    if (user) {
+      // ✅ PRODUCTION: Only the hash is stored; a new request replaces any earlier token
+      const token = generateToken();
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { passwordReset: emailTokenRecord(token, PASSWORD_RESET_EXPIRY_MINUTES) } }
+      );
+
+      // Not awaited, so the response takes as long whether or not the account exists
+      req.app.locals.mailer
+        .send({
+          to: user.email,
+          ...passwordResetEmail({ name: user.name, token, expiresInMinutes: PASSWORD_RESET_EXPIRY_MINUTES })
+        })
+        .then(() => logger.info({ userId: user._id }, 'Password reset email sent'))
+        .catch((err) => logger.error({ userId: user._id, error: err.message }, 'Password reset email failed'));
     } else {
-      // If no specific token, clear all refresh tokens (logout from all devices)
-      user.refreshTokens = [];
+      logger.info({ email }, 'Password reset requested for unknown email');
+    }
+
+    // ✅ PRODUCTION: Same answer either way, so this doesn't reveal which emails have accounts
+    res.json({
+      status: 'success',
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  })
+);
+
+router.post(
+  '/reset-password',
+  accountEmailRateLimiter,
+  resetPasswordValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ errors: errors.array() }, 'Reset password validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // ✅ PRODUCTION: Consume the token atomically, so it works only once, and sign out
+    // every session (someone who knew the old password may hold a refresh token)
+    const user = await User.findOneAndUpdate(
+      {
+        'passwordReset.tokenHash': hashToken(token),
+        'passwordReset.expiresAt': { $gt: new Date() }
+      },
+      {
+        $set: { password: hashedPassword, refreshTokens: [] },
+        $unset: { passwordReset: 1 }
+      }
+    );
+
+    if (!user) {
+      logger.warn('Password reset with invalid or expired token');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid or expired reset token'
+      });
     }
 
-    // ✅ PRODUCTION: Add current token to revocation list
-    user.revokedTokens.push({
-      token: req.token
+    logger.info({ userId: user._id }, 'Password reset, all sessions revoked');
+
+    res.json({
+      status: 'success',
+      message: 'Password reset successfully. Please login again.'
     });
+  })
+);
+
+// ===== EMAIL VERIFICATION =====
+// Opened from the link in the verification email (via the frontend), so no auth is needed
+router.get(
+  '/verify-email',
+  verifyEmailValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ errors: errors.array() }, 'Verify email validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
 
-    // ✅ PRODUCTION: Clean up old revoked tokens (older than 30 days)
-    user.revokedTokens = user.revokedTokens.filter(
-      rt => rt.revokedAt > new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
+    // ✅ PRODUCTION: Consume the token atomically, so it works only once
+    const user = await User.findOneAndUpdate(
+      {
+        'emailVerification.tokenHash': hashToken(req.query.token),
+        'emailVerification.expiresAt': { $gt: new Date() }
+      },
+      {
+        $set: { emailVerified: true },
+        $unset: { emailVerification: 1 }
+      }
     );
 
+    if (!user) {
+      logger.warn('Email verification with invalid or expired token');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    logger.info({ userId: user._id }, 'Email verified');
+
+    res.json({
+      status: 'success',
+      message: 'Email verified successfully'
+    });
+  })
+);
+
+router.post(
+  '/resend-verification',
+  auth,
+  accountEmailRateLimiter,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      logger.warn({ userId: req.userId }, 'Resend verification: user not found');
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Email already verified'
+      });
+    }
+
+    // A new link replaces any earlier one
+    const token = generateToken();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { emailVerification: emailTokenRecord(token, EMAIL_VERIFICATION_EXPIRY_HOURS * 60) } }
+    );
+
+    sendVerificationEmail(req, user, token);
+
+    res.json({
+      status: 'success',
+      message: 'Verification email sent'
+    });
+  })
+);
+
+// ===== SESSIONS =====
+/**
+ * Public view of a session (never includes the token hash)
+ * `current` marks the session the request's access token belongs to
+ */
+const toSession = (session, currentFamily) => ({
+  id: session._id,
+  label: session.label ?? null,
+  userAgent: session.userAgent ?? null,
+  ip: session.ip ?? null,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt ?? session.createdAt,
+  expiresAt: session.expiresAt,
+  current: Boolean(currentFamily) && session.family === currentFamily
+});
+
+router.get(
+  '/sessions',
+  auth,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.userId).select('refreshTokens').lean();
+    if (!user) {
+      logger.warn({ userId: req.userId }, 'Sessions: user not found');
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    const sessions = user.refreshTokens
+      .filter(rt => rt.tokenHash && rt.expiresAt > Date.now())
+      .map(rt => toSession(rt, req.tokenFamily))
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+
+    res.json({
+      status: 'success',
+      count: sessions.length,
+      data: sessions
+    });
+  })
+);
+
+router.delete(
+  '/sessions/:id',
+  auth,
+  sessionIdValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Session revoke validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    // ✅ PRODUCTION: Atomic, so it can't race a concurrent refresh of the same session
+    const result = await User.updateOne(
+      { _id: req.userId, 'refreshTokens._id': req.params.id },
+      { $pull: { refreshTokens: { _id: req.params.id } } }
+    );
+
+    if (!result.modifiedCount) {
+      logger.warn({ userId: req.userId, sessionId: req.params.id }, 'Session not found');
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session not found'
+      });
+    }
+
+    logger.info({ userId: req.userId, sessionId: req.params.id }, 'Session revoked');
+
+    res.json({
+      status: 'success',
+      message: 'Session revoked successfully'
+    });
+  })
+);
+
+// Sign out every other device; access tokens issued before sessions existed
+// can't be matched to one, so with those every session is revoked
+router.delete(
+  '/sessions',
+  auth,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.userId).select('refreshTokens.family').lean();
+    if (!user) {
+      logger.warn({ userId: req.userId }, 'Sessions: user not found');
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    const others = req.tokenFamily ? { family: { $ne: req.tokenFamily } } : { _id: { $exists: true } };
+    await User.updateOne({ _id: req.userId }, { $pull: { refreshTokens: others } });
+
+    const revoked = user.refreshTokens.filter(rt => !req.tokenFamily || rt.family !== req.tokenFamily).length;
+
+    logger.info({ userId: req.userId, revoked }, 'Other sessions revoked');
+
+    res.json({
+      status: 'success',
+      message: 'Other sessions revoked successfully',
+      count: revoked
+    });
+  })
+);
+
+// ===== PROFILE =====
+/**
+ * Public view of a user (never includes password or tokens), in the user's units
+ */
+const toProfile = (user) => profileToUnits({
+  userId: user._id,
+  name: user.name,
+  email: user.email,
+  timezone: user.timezone,
+  unitSystem: user.unitSystem,
+  heightCm: user.heightCm ?? null,
+  emailVerified: user.emailVerified
+}, user.unitSystem);
+
+router.get(
+  '/me',
+  auth,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      logger.warn({ userId: req.userId }, 'Profile: user not found');
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: toProfile(user),
+      units: unitsFor(user.unitSystem)
+    });
+  })
+);
+
+router.put(
+  '/me',
+  auth,
+  unitPreference(profileFromUnits),
+  updateProfileValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Profile validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      logger.warn({ userId: req.userId }, 'Profile: user not found');
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    const { name, timezone, unitSystem, heightCm } = req.body;
+    if (name !== undefined) user.name = name;
+    if (timezone !== undefined) user.timezone = timezone;
+    if (unitSystem !== undefined) user.unitSystem = unitSystem;
+    if (heightCm !== undefined) user.heightCm = heightCm ?? undefined;
+
     await user.save();
 
-    logger.info({ userId: user._id }, 'User logged out');
+    logger.info({ userId: user._id }, 'Profile updated');
 
     res.json({
       status: 'success',
-      message: 'Logged out successfully'
+      message: 'Profile updated successfully',
+      data: toProfile(user),
+      units: unitsFor(user.unitSystem)
     });
   })
 );
@@ -6,82 +6,353 @@
 const express = require('express');
 const { validationResult } = require('express-validator');
 const Entry = require('../models/Entry');
+const Measurement = require('../models/Measurement');
+const WaterPreset = require('../models/WaterPreset');
 const auth = require('../middleware/authmiddleware');
+const unitPreference = require('../middleware/unitPreference');
+const requireVerifiedEmail = require('../middleware/emailVerification');
 const asyncHandler = require('../utils/asyncHandler');
 const logger = require('../utils/logger');
+const { paginateByDate } = require('../utils/pagination');
+const { getUserPreferences } = require('../utils/preferences');
 const {
+  toEntryDay,
+  todayFor,
+  addDays,
+  startOfWeek,
+  toDayRange,
+  formatEntryDay
+} = require('../utils/dates');
+const {
+  pickEntryFields,
+  pickFoodItemFields,
+  pickWorkoutSessionFields,
+  resolveCaloriesOverride,
+  affectsCalorieTotal
+} = require('../utils/entryFields');
+const { parseCsv, toCsvLine } = require('../utils/csv');
+const { ENTRY_CSV_COLUMNS, csvRecordsToEntries, entryToCsvRecords } = require('../utils/entryCsv');
+const { getEntryStats, getSleepConsistency, getMedicationAdherence } = require('../utils/stats');
+const { sumNutrients, NUTRIENT_UNITS } = require('../utils/nutrition');
+const { findVisibleFood, foodItemFromFood, recordFoodUse } = require('../utils/foods');
+const { resolveWorkoutSessions, netCalories } = require('../utils/workouts');
+const { sleepDayFor, sessionHours, overlaps, MAX_SESSION_HOURS } = require('../utils/sleep');
+const { resolveMood } = require('../utils/mood');
+const { toMillilitres, summarizeWater, hourlyWater } = require('../utils/water');
+const {
+  unitsFor,
+  toUnits,
+  entryToUnits,
+  entryFromUnits,
+  workoutSessionToUnits,
+  workoutSessionFromUnits,
+  waterVolumeToUnits,
+  waterAmountFromUnits,
+  waterSummaryToUnits,
+  hourlyToUnits,
+  progressToUnits,
+  statsToUnits
+} = require('../utils/units');
+const { getGoalHistory, goalForDay, computeProgress, attachGoalProgress } = require('../utils/goals');
+const { evaluateAchievements, computeStreaks, getAchievements } = require('../utils/achievements');
+const { entryToObservations, bundleOpen, toBundleEntry, BUNDLE_CLOSE } = require('../utils/fhir');
+const { importEntries, MAX_IMPORT_ROWS } = require('../utils/entryImport');
+const {
+  listEntriesValidator,
   createEntryValidator,
   updateEntryValidator,
-  deleteEntryValidator
+  upsertEntryByDateValidator,
+  importEntriesValidator,
+  exportEntriesValidator,
+  entryStatsValidator,
+  deleteEntryValidator,
+  foodItemValidator,
+  updateFoodItemValidator,
+  foodItemIdValidator,
+  workoutSessionValidator,
+  updateWorkoutSessionValidator,
+  workoutSessionIdValidator,
+  sleepSessionValidator,
+  updateSleepSessionValidator,
+  sleepSessionIdValidator,
+  moodCheckInValidator,
+  updateMoodCheckInValidator,
+  moodCheckInIdValidator,
+  listMoodCheckInsValidator,
+  waterEventValidator,
+  waterEventIdValidator
 } = require('../utils/validators');
 
 const router = express.Router();
 
+// Page size when the client doesn't send ?limit (matches the old fixed "last 30")
+const DEFAULT_PAGE_SIZE = 30;
+
+// Badges shown in the dashboard summary
+const RECENT_ACHIEVEMENTS = 3;
+
+// Response headers per export format
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  fhir: { contentType: 'application/fhir+json; charset=utf-8', extension: 'fhir.json' }
+};
+
+/**
+ * Write a chunk to a streamed response, waiting for the socket to drain when its buffer is full
+ */
+const writeChunk = (res, chunk) => {
+  if (res.write(chunk)) return Promise.resolve();
+
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+};
+
+/**
+ * Re-evaluate streaks and badges after an entry write
+ * Never fails the write itself; returns the badges newly awarded
+ */
+const refreshAchievements = async (userId, options) => {
+  try {
+    const { awarded } = await evaluateAchievements(userId, options);
+    return awarded;
+  } catch (err) {
+    logger.error({ userId, error: err.message }, 'Achievement evaluation failed');
+    return [];
+  }
+};
+
+// Day values derived from an item list; a write of `field` that `conflicts` is refused
+// while the day has items in `source` (the value is replaced when they change anyway)
+const DERIVED_ENTRY_FIELDS = [
+  {
+    field: 'waterIntake',
+    source: 'waterEvents',
+    conflicts: (fields) => fields.waterIntake !== undefined,
+    message: 'waterIntake is the total of this day\'s logged drinks; add or delete drinks instead'
+  },
+  {
+    field: 'sleep',
+    source: 'sleepSessions',
+    conflicts: (fields) => fields.sleep !== undefined,
+    message: 'sleep is the total of this day\'s sleep sessions; add, edit or delete sessions instead'
+  },
+  {
+    // Sessions sent in the same write replace the stored ones and set `workouts` themselves
+    field: 'workouts',
+    source: 'workoutSessions',
+    conflicts: (fields) => fields.workouts === false && fields.workoutSessions === undefined,
+    message: 'This day has workout sessions; delete them instead of setting workouts to false'
+  }
+];
+
+/**
+ * Refuse to set a derived day value (water, sleep, workouts) directly when the day has
+ * the items it is derived from
+ * Returns false when a response was sent
+ */
+const checkDerivedFieldWrites = async (fields, filter, req, res) => {
+  for (const { field, source, conflicts, message } of DERIVED_ENTRY_FIELDS) {
+    if (conflicts(fields) && await Entry.exists({ ...filter, [`${source}.0`]: { $exists: true } })) {
+      logger.info({ userId: req.userId, field }, 'Direct write of a derived entry field');
+      res.status(409).json({
+        status: 'error',
+        message
+      });
+      return false;
+    }
+  }
+  return true;
+};
+
+// Fields a client may write on a sleep session
+const SLEEP_SESSION_FIELDS = ['startedAt', 'endedAt', 'type', 'awakenings', 'quality'];
+
+// Fields a client may write on a mood check-in
+const MOOD_CHECK_IN_FIELDS = ['at', 'score', 'tags', 'journal'];
+
 /* =========================================================
    DASHBOARD SUMMARY — MUST BE ABOVE /:id ROUTES
 ========================================================= */
 router.get(
   '/dashboard/summary',
   auth,
+  unitPreference(),
   asyncHandler(async (req, res) => {
     logger.info({ userId: req.userId }, 'Fetching dashboard summary');
 
-    const now = new Date();
+    const { timezone } = await getUserPreferences(req.userId);
+    const today = todayFor(timezone);
 
-    const startOfDay = new Date(
-      now.getFullYear(),
-      now.getMonth(),
-      now.getDate(),
-      0, 0, 0, 0
-    );
+    const weekStart = startOfWeek(today);
 
-    const endOfDay = new Date(
-      now.getFullYear(),
-      now.getMonth(),
-      now.getDate(),
-      23, 59, 59, 999
-    );
+    const [entry, weekWorkoutDays, goalHistory, streaks, recentAchievements] = await Promise.all([
+      Entry.findOne({
+        user: req.userId,
+        date: { $gte: today, $lt: addDays(today, 1) },
+      }),
+      Entry.countDocuments({
+        user: req.userId,
+        date: { $gte: weekStart, $lte: today },
+        workouts: true
+      }),
+      getGoalHistory(req.userId, today),
+      computeStreaks(req.userId),
+      getAchievements(req.userId, RECENT_ACHIEVEMENTS)
+    ]);
+
+    const data = {
+      calories: entry?.calories || 0,
+      sleep: entry?.sleep || 0,
+      workouts: entry?.workouts ? 1 : 0,
+      heartRate: entry?.heartRate || 0,
+      steps: entry?.steps || 0,
+      symptoms: entry?.symptoms || [],
+      mood: entry?.mood || null,
+      waterIntake: entry?.waterIntake || 0,
+      foodIntake: entry?.foodIntake || []
+    };
+
+    data.sleepSessions = entry?.sleepSessions || [];
+    data.moodScore = entry?.moodScore ?? null;
+    data.moodSummary = entry?.moodSummary || null;
+    data.moodCheckIns = entry?.moodCheckIns || [];
+    data.waterEvents = entry?.waterEvents || [];
+    data.waterHourly = hourlyWater(data.waterEvents, timezone);
+    data.heartRateSummary = entry?.heartRateSummary || null;
+
+    // Workout detail; `workouts` above stays 0/1 for older clients
+    data.workoutSessions = entry?.workoutSessions || [];
+    data.caloriesBurned = entry?.caloriesBurned || 0;
+    data.netCalories = netCalories(entry);
+
+    // Daily macro/micronutrient totals from the food items (null = not tracked today)
+    data.nutrients = sumNutrients(data.foodIntake);
+    data.nutrientUnits = NUTRIENT_UNITS;
+
+    // Percent-of-target against today's goals; workouts count Monday..today against the weekly target
+    data.goals = computeProgress({
+      calories: data.calories,
+      sleep: data.sleep,
+      steps: data.steps,
+      waterIntake: data.waterIntake,
+      workoutDays: weekWorkoutDays
+    }, goalForDay(goalHistory, today));
 
-    const entry = await Entry.findOne({
-      user: req.userId,
-      date: { $gte: startOfDay, $lte: endOfDay },
+    data.streaks = streaks;
+    data.recentAchievements = recentAchievements;
+
+    // Goals are compared in stored units above; everything is converted on the way out
+    const { unitSystem } = req;
+    data.waterIntake = toUnits(data.waterIntake, 'volume', unitSystem);
+    data.waterEvents = data.waterEvents.map((event) => waterVolumeToUnits(event, unitSystem));
+    data.waterHourly = hourlyToUnits(data.waterHourly, unitSystem);
+    data.workoutSessions = data.workoutSessions.map((session) => workoutSessionToUnits(session, unitSystem));
+    data.goals = progressToUnits(data.goals, unitSystem);
+
+    res.json({
+      status: 'success',
+      data,
+      units: unitsFor(unitSystem)
     });
+  })
+);
+
+/* =========================================================
+   STATS — day/week/month rollups
+========================================================= */
+router.get(
+  '/stats',
+  auth,
+  unitPreference(),
+  entryStatsValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Stats validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { from, to, granularity, metrics } = req.query;
+    const { timezone } = await getUserPreferences(req.userId);
+
+    logger.info({ userId: req.userId, from, to, granularity }, 'Fetching entry stats');
+
+    const dateRange = toDayRange(from, to, timezone);
+
+    const includeSleep = !metrics || metrics.includes('sleep');
+    const includeMedications = !metrics || metrics.includes('medications');
+
+    const [stats, goalHistory, sleepConsistency, medicationAdherence] = await Promise.all([
+      getEntryStats(req.userId, { dateRange, granularity, metrics }),
+      getGoalHistory(req.userId, dateRange?.$lte),
+      includeSleep ? getSleepConsistency(req.userId, { dateRange, timezone }) : null,
+      includeMedications ? getMedicationAdherence(req.userId, { dateRange, timezone, granularity }) : null
+    ]);
+
+    attachGoalProgress(stats, goalHistory);
+    if (sleepConsistency) stats.sleepConsistency = sleepConsistency;
+    if (medicationAdherence) stats.medicationAdherence = medicationAdherence;
 
     res.json({
       status: 'success',
-      data: {
-        calories: entry?.calories || 0,
-        sleep: entry?.sleep || 0,
-        workouts: entry?.workouts ? 1 : 0,
-        heartRate: entry?.heartRate || 0,
-        steps: entry?.steps || 0,
-        symptoms: entry?.symptoms || [],
-        mood: entry?.mood || 'neutral',
-        waterIntake: entry?.waterIntake || 0,
-        foodIntake: entry?.foodIntake || []
-      }
+      data: statsToUnits(stats, req.unitSystem),
+      units: unitsFor(req.unitSystem)
     });
   })
 );
 
 /* =========================================================
-   GET LAST 30 ENTRIES (with index optimization)
+   LIST ENTRIES (date range + cursor pagination)
 ========================================================= */
 router.get(
   '/',
   auth,
+  unitPreference(),
+  listEntriesValidator,
   asyncHandler(async (req, res) => {
-    logger.info({ userId: req.userId }, 'Fetching last 30 entries');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'List entries validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { from, to, cursor, sort = 'desc', limit = DEFAULT_PAGE_SIZE } = req.query;
+
+    logger.info({ userId: req.userId, from, to, sort, limit }, 'Fetching entries');
+
+    const { timezone } = await getUserPreferences(req.userId);
+
+    const filter = { user: req.userId };
+    const dateRange = toDayRange(from, to, timezone);
+    if (dateRange) filter.date = dateRange;
 
-    // ✅ PRODUCTION: Uses index on (user, date) for fast queries
-    const entries = await Entry.find({ user: req.userId })
-      .sort({ date: -1 })
-      .limit(30);
+    // ✅ PRODUCTION: Uses index on (user, date) for range + cursor queries
+    const page = await paginateByDate(Entry, filter, { limit, sort, cursor });
 
     res.json({
       status: 'success',
-      count: entries.length,
-      data: entries
+      count: page.data.length,
+      total: page.total,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+      data: page.data.map((entry) => entryToUnits(entry, req.unitSystem)),
+      units: unitsFor(req.unitSystem)
     });
   })
 );
@@ -92,6 +363,7 @@ router.get(
 router.post(
   '/',
   auth,
+  unitPreference(entryFromUnits),
   createEntryValidator,
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
@@ -104,30 +376,30 @@ router.post(
       });
     }
 
-    const { date, calories, sleep, workouts, foodIntake } = req.body;
-
-    // Normalize date to start of day
-    const normalizedDate = new Date(date);
-    normalizedDate.setHours(0, 0, 0, 0);
+    // Normalize date to the user's calendar day
+    const { timezone } = await getUserPreferences(req.userId);
+    const normalizedDate = toEntryDay(req.body.date, timezone);
 
     try {
+      // Same writable fields as PUT /by-date/:date
       const entry = new Entry({
         user: req.userId,
         date: normalizedDate,
-        calories,
-        sleep,
-        workouts,
-        foodIntake
+        ...resolveMood(resolveWorkoutSessions(resolveCaloriesOverride(pickEntryFields(req.body))))
       });
 
       await entry.save();
 
       logger.info({ userId: req.userId, entryId: entry._id }, 'Entry created successfully');
 
+      const newAchievements = await refreshAchievements(req.userId);
+
       res.status(201).json({
         status: 'success',
         message: 'Entry created successfully',
-        data: entry
+        data: entryToUnits(entry, req.unitSystem),
+        units: unitsFor(req.unitSystem),
+        newAchievements
       });
     } catch (err) {
       // ✅ PRODUCTION: Handle unique constraint violation
@@ -146,16 +418,17 @@ router.post(
 );
 
 /* =========================================================
-   UPDATE ENTRY BY ID
+   UPSERT ENTRY BY DATE (idempotent create-or-merge)
 ========================================================= */
 router.put(
-  '/:id',
+  '/by-date/:date',
   auth,
-  updateEntryValidator,
+  unitPreference(entryFromUnits),
+  upsertEntryByDateValidator,
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      logger.warn({ userId: req.userId, errors: errors.array() }, 'Update validation failed');
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Upsert validation failed');
       return res.status(400).json({
         status: 'error',
         message: 'Validation failed',
@@ -163,48 +436,125 @@ router.put(
       });
     }
 
-    const { id } = req.params;
+    const { timezone } = await getUserPreferences(req.userId);
+    const normalizedDate = toEntryDay(req.params.date, timezone);
 
-    try {
-      const entry = await Entry.findOneAndUpdate(
-        { _id: id, user: req.userId },
-        req.body,
-        { new: true, runValidators: true }
-      );
+    // Only merge fields the client actually sent
+    const update = resolveMood(resolveWorkoutSessions(resolveCaloriesOverride(pickEntryFields(req.body))));
+    if (!await checkDerivedFieldWrites(update, { user: req.userId, date: normalizedDate }, req, res)) return;
 
-      if (!entry) {
-        logger.warn({ userId: req.userId, entryId: id }, 'Entry not found');
-        return res.status(404).json({
-          status: 'error',
-          message: 'Entry not found'
-        });
+    const upsert = () => Entry.findOneAndUpdate(
+      { user: req.userId, date: normalizedDate },
+      { $set: update },
+      { new: true, upsert: true, runValidators: true, includeResultMetadata: true }
+    );
+
+    let result;
+    try {
+      result = await upsert();
+    } catch (err) {
+      // ✅ PRODUCTION: Two concurrent upserts can both try to insert; the loser retries as an update
+      if (err.code !== 11000) {
+        logger.error({ userId: req.userId, date: normalizedDate, error: err.message }, 'Failed to upsert entry');
+        throw err;
       }
+      result = await upsert();
+    }
 
-      logger.info({ userId: req.userId, entryId: id }, 'Entry updated successfully');
+    const entry = result.value;
+    const created = !result.lastErrorObject?.updatedExisting;
 
-      res.json({
-        status: 'success',
-        message: 'Entry updated successfully',
-        data: entry
+    if (affectsCalorieTotal(update) && entry.recalculateCalories()) {
+      await entry.save();
+    }
+
+    logger.info(
+      { userId: req.userId, entryId: entry._id, created },
+      created ? 'Entry created by date' : 'Entry updated by date'
+    );
+
+    const newAchievements = await refreshAchievements(req.userId);
+
+    res.status(created ? 201 : 200).json({
+      status: 'success',
+      message: created ? 'Entry created successfully' : 'Entry updated successfully',
+      created,
+      data: entryToUnits(entry, req.unitSystem),
+      units: unitsFor(req.unitSystem),
+      newAchievements
+    });
+  })
+);
+
+/* =========================================================
+   SLEEP SESSIONS — filed under the day they end on
+   (user's timezone), so a night crossing midnight counts
+   for the morning after
+========================================================= */
+router.post(
+  '/sleep',
+  auth,
+  unitPreference(),
+  sleepSessionValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Sleep session validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const fields = {};
+    SLEEP_SESSION_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined && req.body[field] !== null) fields[field] = req.body[field];
+    });
+
+    const { timezone } = await getUserPreferences(req.userId);
+    const entry = await Entry.findOrCreateForDay(req.userId, sleepDayFor(fields, timezone));
+
+    if (entry.sleepSessions.some((existing) => overlaps(existing, fields))) {
+      logger.info({ userId: req.userId, entryId: entry._id }, 'Sleep session overlaps an existing one');
+      return res.status(409).json({
+        status: 'error',
+        message: 'Sleep session overlaps an existing session'
       });
-    } catch (err) {
-      logger.error({ userId: req.userId, entryId: id, error: err.message }, 'Failed to update entry');
-      throw err;
     }
+
+    entry.sleepSessions.push(fields);
+    const session = entry.sleepSessions[entry.sleepSessions.length - 1];
+
+    await entry.save();
+
+    logger.info({ userId: req.userId, entryId: entry._id, sessionId: session._id }, 'Sleep session added');
+
+    const newAchievements = await refreshAchievements(req.userId);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Sleep session added successfully',
+      data: { session, entry: entryToUnits(entry, req.unitSystem) },
+      units: unitsFor(req.unitSystem),
+      newAchievements
+    });
   })
 );
 
 /* =========================================================
-   DELETE ENTRY
+   MOOD CHECK-INS — filed under the user's calendar day of `at`;
+   each save re-derives the day's mood summary
 ========================================================= */
-router.delete(
-  '/:id',
+router.post(
+  '/mood',
   auth,
-  deleteEntryValidator,
+  unitPreference(),
+  moodCheckInValidator,
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      logger.warn({ userId: req.userId, errors: errors.array() }, 'Delete validation failed');
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Mood check-in validation failed');
       return res.status(400).json({
         status: 'error',
         message: 'Validation failed',
@@ -212,23 +562,1034 @@ router.delete(
       });
     }
 
-    const { id } = req.params;
+    const fields = { at: new Date() };
+    MOOD_CHECK_IN_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined && req.body[field] !== null) fields[field] = req.body[field];
+    });
 
-    try {
-      const entry = await Entry.findOneAndDelete({
-        _id: id,
-        user: req.userId
+    const { timezone } = await getUserPreferences(req.userId);
+    const entry = await Entry.findOrCreateForDay(req.userId, toEntryDay(fields.at, timezone));
+
+    entry.moodCheckIns.push(fields);
+    const checkIn = entry.moodCheckIns[entry.moodCheckIns.length - 1];
+
+    await entry.save();
+
+    logger.info({ userId: req.userId, entryId: entry._id, checkInId: checkIn._id }, 'Mood check-in added');
+
+    const newAchievements = await refreshAchievements(req.userId);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Mood check-in added successfully',
+      data: { checkIn, entry: entryToUnits(entry, req.unitSystem) },
+      units: unitsFor(req.unitSystem),
+      newAchievements
+    });
+  })
+);
+
+// Check-ins across days, newest first, each with its entry's id and day
+router.get(
+  '/mood',
+  auth,
+  listMoodCheckInsValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Mood check-in list validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
       });
+    }
 
-      if (!entry) {
-        logger.warn({ userId: req.userId, entryId: id }, 'Entry not found');
+    const { tag } = req.query;
+    const { timezone } = await getUserPreferences(req.userId);
+
+    const filter = { user: req.userId, 'moodCheckIns.0': { $exists: true } };
+    const dateRange = toDayRange(req.query.from, req.query.to, timezone);
+    if (dateRange) filter.date = dateRange;
+    if (tag) filter['moodCheckIns.tags'] = tag;
+
+    const entries = await Entry.find(filter).select('date moodCheckIns').lean();
+
+    const checkIns = entries
+      .flatMap((entry) => entry.moodCheckIns.map((checkIn) => ({
+        ...checkIn,
+        entryId: entry._id,
+        date: formatEntryDay(entry.date)
+      })))
+      .filter((checkIn) => !tag || checkIn.tags.includes(tag))
+      .sort((a, b) => b.at - a.at);
+
+    res.json({
+      status: 'success',
+      count: checkIns.length,
+      data: checkIns
+    });
+  })
+);
+
+/* =========================================================
+   WATER — quick-add drinks by amount or preset; the day's
+   waterIntake becomes the total of its drinks
+========================================================= */
+router.post(
+  '/today/water',
+  auth,
+  unitPreference(waterAmountFromUnits),
+  waterEventValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Water validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { amount, unit, preset: presetId } = req.body;
+    const event = { at: req.body.at ? new Date(req.body.at) : new Date() };
+
+    if (presetId) {
+      const preset = await WaterPreset.findOne({ _id: presetId, user: req.userId });
+      if (!preset) {
         return res.status(404).json({
           status: 'error',
-          message: 'Entry not found'
+          message: 'Water preset not found'
         });
       }
+      event.volumeMl = preset.volumeMl;
+      event.label = preset.name;
+    } else {
+      event.volumeMl = toMillilitres(amount, unit);
+    }
 
-      logger.info({ userId: req.userId, entryId: id }, 'Entry deleted successfully');
+    // Filed under the day of `at` (today unless a drink is logged after the fact)
+    const { timezone } = await getUserPreferences(req.userId);
+    const entry = await Entry.findOrCreateForDay(req.userId, toEntryDay(event.at, timezone));
+
+    const added = entry.addWaterEvent(event);
+
+    await entry.save();
+
+    logger.info({ userId: req.userId, entryId: entry._id, volumeMl: added.volumeMl }, 'Water logged');
+
+    const newAchievements = await refreshAchievements(req.userId);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Water logged successfully',
+      data: {
+        event: waterVolumeToUnits(added, req.unitSystem),
+        entryId: entry._id,
+        date: formatEntryDay(entry.date),
+        ...waterSummaryToUnits(summarizeWater(entry, timezone), req.unitSystem)
+      },
+      units: unitsFor(req.unitSystem),
+      newAchievements
+    });
+  })
+);
+
+// Today's drinks and hourly timeline (hours in the user's timezone)
+router.get(
+  '/today/water',
+  auth,
+  unitPreference(),
+  asyncHandler(async (req, res) => {
+    const { timezone } = await getUserPreferences(req.userId);
+    const today = todayFor(timezone);
+
+    const entry = await Entry.findOne({ user: req.userId, date: today })
+      .select('date waterIntake waterEvents')
+      .lean();
+
+    res.json({
+      status: 'success',
+      data: {
+        entryId: entry?._id || null,
+        date: formatEntryDay(today),
+        ...waterSummaryToUnits(summarizeWater(entry, timezone), req.unitSystem)
+      },
+      units: unitsFor(req.unitSystem)
+    });
+  })
+);
+
+/* =========================================================
+   EXPORT (streamed CSV, JSON or FHIR bundle)
+========================================================= */
+router.get(
+  '/export',
+  auth,
+  requireVerifiedEmail('export'),
+  unitPreference(),
+  exportEntriesValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Export validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { from, to, format = 'json' } = req.query;
+    const { timezone } = await getUserPreferences(req.userId);
+
+    const filter = { user: req.userId };
+    const dateRange = toDayRange(from, to, timezone);
+    if (dateRange) filter.date = dateRange;
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const filename = `healthtracker-entries-${formatEntryDay(todayFor(timezone))}.${extension}`;
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    // FHIR quantities carry their own UCUM units and stay metric
+    const exportUnits = format === 'fhir' ? 'metric' : req.unitSystem;
+    res.setHeader('X-Unit-System', exportUnits);
+
+    // ✅ PRODUCTION: Stream from a cursor so large histories are never held in memory
+    const cursor = Entry.find(filter).sort({ date: 1 }).lean().cursor();
+    let count = 0;
+
+    try {
+      if (format === 'csv') {
+        await writeChunk(res, toCsvLine(ENTRY_CSV_COLUMNS));
+      } else {
+        await writeChunk(res, format === 'fhir' ? bundleOpen() : '[');
+      }
+
+      for await (const entry of cursor) {
+        if (res.destroyed) break;
+
+        if (format === 'csv') {
+          for (const record of entryToCsvRecords(entryToUnits(entry, exportUnits))) {
+            await writeChunk(res, toCsvLine(record));
+          }
+        } else if (format === 'fhir') {
+          for (const observation of entryToObservations(entry, req.userId)) {
+            await writeChunk(res, (count ? ',' : '') + toBundleEntry(observation));
+            count++;
+          }
+        } else {
+          await writeChunk(res, (count ? ',' : '') + JSON.stringify(entryToUnits(entry, exportUnits)));
+          count++;
+        }
+      }
+
+      if (format !== 'csv') {
+        await writeChunk(res, format === 'fhir' ? BUNDLE_CLOSE : ']');
+      }
+
+      res.end();
+      logger.info({ userId: req.userId, format, from, to }, 'Entries exported');
+    } catch (err) {
+      // Headers are already sent, so the central error handler can't respond; abort the download
+      logger.error({ userId: req.userId, format, error: err.message }, 'Export failed mid-stream');
+      res.destroy(err);
+    } finally {
+      await cursor.close();
+    }
+  })
+);
+
+/* =========================================================
+   BULK IMPORT (CSV or JSON)
+========================================================= */
+router.post(
+  '/import',
+  auth,
+  unitPreference(),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }),
+  importEntriesValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Import validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { onConflict = 'skip', dryRun = false } = req.query;
+    const format = req.query.format || (typeof req.body === 'string' ? 'csv' : 'json');
+
+    // Both formats end up as [{ row, data }] in entry shape
+    let rows;
+    try {
+      if (format === 'csv') {
+        if (typeof req.body !== 'string') {
+          throw new Error('CSV imports must be sent as text/csv');
+        }
+        rows = csvRecordsToEntries(parseCsv(req.body));
+      } else {
+        const items = Array.isArray(req.body) ? req.body : req.body?.entries;
+        if (!Array.isArray(items)) {
+          throw new Error('JSON imports must be an array of entries or { "entries": [...] }');
+        }
+        rows = items.map((data, index) => ({ row: index + 1, data: data || {} }));
+      }
+    } catch (err) {
+      logger.warn({ userId: req.userId, format, error: err.message }, 'Import file could not be parsed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid import file',
+        details: err.message
+      });
+    }
+
+    if (!rows.length || rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Import must contain 1-${MAX_IMPORT_ROWS} rows`
+      });
+    }
+
+    const { timezone } = await getUserPreferences(req.userId);
+    // Values are in the user's units, like the exports they usually come from
+    const storedRows = rows.map(({ row, data }) => ({ row, data: entryFromUnits(data, req.unitSystem) }));
+    const result = await importEntries(req.userId, storedRows, { timezone, onConflict, dryRun });
+
+    logger.info({ userId: req.userId, format, onConflict, dryRun, summary: result.summary }, 'Entries imported');
+
+    // Imported history can be older than the streak window
+    const writtenDays = result.rows
+      .filter((row) => ['created', 'merged', 'overwritten'].includes(row.status))
+      .map((row) => row.date)
+      .sort();
+    const newAchievements = dryRun || !writtenDays.length
+      ? []
+      : await refreshAchievements(req.userId, { since: toEntryDay(writtenDays[0]) });
+
+    res.json({
+      status: 'success',
+      message: dryRun ? 'Import validated (dry run, nothing saved)' : 'Import completed',
+      data: result,
+      newAchievements
+    });
+  })
+);
+
+/* =========================================================
+   UPDATE ENTRY BY ID
+========================================================= */
+router.put(
+  '/:id',
+  auth,
+  unitPreference(entryFromUnits),
+  updateEntryValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Update validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    // Only writable fields (drinks have their own endpoints); the stored date stays on the
+    // user's calendar day, same as on create
+    const update = resolveMood(resolveWorkoutSessions(resolveCaloriesOverride(pickEntryFields(req.body))));
+    if (req.body.date) {
+      const { timezone } = await getUserPreferences(req.userId);
+      update.date = toEntryDay(req.body.date, timezone);
+    }
+    if (!await checkDerivedFieldWrites(update, { _id: id, user: req.userId }, req, res)) return;
+
+    try {
+      const entry = await Entry.findOneAndUpdate(
+        { _id: id, user: req.userId },
+        update,
+        { new: true, runValidators: true }
+      );
+
+      if (!entry) {
+        logger.warn({ userId: req.userId, entryId: id }, 'Entry not found');
+        return res.status(404).json({
+          status: 'error',
+          message: 'Entry not found'
+        });
+      }
+
+      if (affectsCalorieTotal(update) && entry.recalculateCalories()) {
+        await entry.save();
+      }
+
+      logger.info({ userId: req.userId, entryId: id }, 'Entry updated successfully');
+
+      const newAchievements = await refreshAchievements(req.userId);
+
+      res.json({
+        status: 'success',
+        message: 'Entry updated successfully',
+        data: entryToUnits(entry, req.unitSystem),
+        units: unitsFor(req.unitSystem),
+        newAchievements
+      });
+    } catch (err) {
+      logger.error({ userId: req.userId, entryId: id, error: err.message }, 'Failed to update entry');
+      throw err;
+    }
+  })
+);
+
+/* =========================================================
+   FOOD ITEMS — /entries/:id/food[/:itemId]
+   Daily calories follow the food total unless overridden
+========================================================= */
+router.post(
+  '/:id/food',
+  auth,
+  unitPreference(),
+  foodItemValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Food item validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const entry = await Entry.findOne({ _id: id, user: req.userId });
+    if (!entry) {
+      logger.warn({ userId: req.userId, entryId: id }, 'Entry not found');
+      return res.status(404).json({
+        status: 'error',
+        message: 'Entry not found'
+      });
+    }
+
+    // A library food by reference fills in name, calories, nutrients and serving
+    let fields = pickFoodItemFields(req.body);
+    if (req.body.foodId) {
+      const food = await findVisibleFood(req.userId, req.body.foodId);
+      if (!food) {
+        logger.warn({ userId: req.userId, foodId: req.body.foodId }, 'Library food not found');
+        return res.status(404).json({
+          status: 'error',
+          message: 'Food not found'
+        });
+      }
+      fields = foodItemFromFood(food, { meal: req.body.meal, quantity: req.body.quantity });
+    }
+
+    entry.foodIntake.push(fields);
+    const item = entry.foodIntake[entry.foodIntake.length - 1];
+
+    await entry.save();
+
+    if (item.foodRef) await recordFoodUse(req.userId, item.foodRef);
+
+    logger.info({ userId: req.userId, entryId: id, itemId: item._id }, 'Food item added');
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Food item added successfully',
+      data: { item, entry: entryToUnits(entry, req.unitSystem) },
+      units: unitsFor(req.unitSystem)
+    });
+  })
+);
+
+router.patch(
+  '/:id/food/:itemId',
+  auth,
+  unitPreference(),
+  updateFoodItemValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Food item validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id, itemId } = req.params;
+
+    const entry = await Entry.findOne({ _id: id, user: req.userId });
+    const item = entry?.foodIntake.id(itemId);
+    if (!item) {
+      logger.warn({ userId: req.userId, entryId: id, itemId }, 'Food item not found');
+      return res.status(404).json({
+        status: 'error',
+        message: entry ? 'Food item not found' : 'Entry not found'
+      });
+    }
+
+    Object.entries(pickFoodItemFields(req.body)).forEach(([field, value]) => {
+      item[field] = value ?? undefined;
+    });
+
+    await entry.save();
+
+    logger.info({ userId: req.userId, entryId: id, itemId }, 'Food item updated');
+
+    res.json({
+      status: 'success',
+      message: 'Food item updated successfully',
+      data: { item, entry: entryToUnits(entry, req.unitSystem) },
+      units: unitsFor(req.unitSystem)
+    });
+  })
+);
+
+router.delete(
+  '/:id/food/:itemId',
+  auth,
+  unitPreference(),
+  foodItemIdValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Food item validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id, itemId } = req.params;
+
+    const entry = await Entry.findOne({ _id: id, user: req.userId });
+    const item = entry?.foodIntake.id(itemId);
+    if (!item) {
+      logger.warn({ userId: req.userId, entryId: id, itemId }, 'Food item not found');
+      return res.status(404).json({
+        status: 'error',
+        message: entry ? 'Food item not found' : 'Entry not found'
+      });
+    }
+
+    item.deleteOne();
+    await entry.save();
+
+    logger.info({ userId: req.userId, entryId: id, itemId }, 'Food item deleted');
+
+    res.json({
+      status: 'success',
+      message: 'Food item deleted successfully',
+      data: entryToUnits(entry, req.unitSystem),
+      units: unitsFor(req.unitSystem)
+    });
+  })
+);
+
+/* =========================================================
+   WORKOUT SESSIONS — /entries/:id/workouts[/:sessionId]
+   Calories burned are estimated from MET values unless measured
+========================================================= */
+router.post(
+  '/:id/workouts',
+  auth,
+  unitPreference(workoutSessionFromUnits),
+  workoutSessionValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Workout session validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const entry = await Entry.findOne({ _id: id, user: req.userId });
+    if (!entry) {
+      logger.warn({ userId: req.userId, entryId: id }, 'Entry not found');
+      return res.status(404).json({
+        status: 'error',
+        message: 'Entry not found'
+      });
+    }
+
+    entry.workoutSessions.push(pickWorkoutSessionFields(req.body));
+    const session = entry.workoutSessions[entry.workoutSessions.length - 1];
+
+    await entry.save();
+
+    logger.info({ userId: req.userId, entryId: id, sessionId: session._id }, 'Workout session added');
+
+    const newAchievements = await refreshAchievements(req.userId);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Workout session added successfully',
+      data: {
+        session: workoutSessionToUnits(session, req.unitSystem),
+        entry: entryToUnits(entry, req.unitSystem)
+      },
+      units: unitsFor(req.unitSystem),
+      newAchievements
+    });
+  })
+);
+
+router.patch(
+  '/:id/workouts/:sessionId',
+  auth,
+  unitPreference(workoutSessionFromUnits),
+  updateWorkoutSessionValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Workout session validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id, sessionId } = req.params;
+
+    const entry = await Entry.findOne({ _id: id, user: req.userId });
+    const session = entry?.workoutSessions.id(sessionId);
+    if (!session) {
+      logger.warn({ userId: req.userId, entryId: id, sessionId }, 'Workout session not found');
+      return res.status(404).json({
+        status: 'error',
+        message: entry ? 'Workout session not found' : 'Entry not found'
+      });
+    }
+
+    const fields = pickWorkoutSessionFields(req.body);
+    Object.entries(fields).forEach(([field, value]) => {
+      session[field] = value ?? undefined;
+    });
+    // A measured value replaces the estimate; null goes back to estimating
+    if (fields.caloriesBurned !== undefined) {
+      session.caloriesEstimated = fields.caloriesBurned === null;
+    }
+
+    await entry.save();
+
+    logger.info({ userId: req.userId, entryId: id, sessionId }, 'Workout session updated');
+
+    res.json({
+      status: 'success',
+      message: 'Workout session updated successfully',
+      data: {
+        session: workoutSessionToUnits(session, req.unitSystem),
+        entry: entryToUnits(entry, req.unitSystem)
+      },
+      units: unitsFor(req.unitSystem)
+    });
+  })
+);
+
+router.delete(
+  '/:id/workouts/:sessionId',
+  auth,
+  unitPreference(),
+  workoutSessionIdValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Workout session validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id, sessionId } = req.params;
+
+    const entry = await Entry.findOne({ _id: id, user: req.userId });
+    const session = entry?.workoutSessions.id(sessionId);
+    if (!session) {
+      logger.warn({ userId: req.userId, entryId: id, sessionId }, 'Workout session not found');
+      return res.status(404).json({
+        status: 'error',
+        message: entry ? 'Workout session not found' : 'Entry not found'
+      });
+    }
+
+    session.deleteOne();
+    await entry.save();
+
+    logger.info({ userId: req.userId, entryId: id, sessionId }, 'Workout session deleted');
+
+    await refreshAchievements(req.userId);
+
+    res.json({
+      status: 'success',
+      message: 'Workout session deleted successfully',
+      data: entryToUnits(entry, req.unitSystem),
+      units: unitsFor(req.unitSystem)
+    });
+  })
+);
+
+/* =========================================================
+   SLEEP SESSIONS — /entries/:id/sleep/:sessionId
+   Changing the times can move a session to another day
+========================================================= */
+router.patch(
+  '/:id/sleep/:sessionId',
+  auth,
+  unitPreference(),
+  updateSleepSessionValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Sleep session validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id, sessionId } = req.params;
+
+    const entry = await Entry.findOne({ _id: id, user: req.userId });
+    const session = entry?.sleepSessions.id(sessionId);
+    if (!session) {
+      logger.warn({ userId: req.userId, entryId: id, sessionId }, 'Sleep session not found');
+      return res.status(404).json({
+        status: 'error',
+        message: entry ? 'Sleep session not found' : 'Entry not found'
+      });
+    }
+
+    const updated = session.toObject();
+    SLEEP_SESSION_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) updated[field] = req.body[field] ?? undefined;
+    });
+
+    const hours = sessionHours(updated);
+    if (!(hours > 0 && hours <= MAX_SESSION_HOURS)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: [{ path: 'endedAt', msg: `endedAt must be after startedAt and at most ${MAX_SESSION_HOURS} hours later` }]
+      });
+    }
+
+    const { timezone } = await getUserPreferences(req.userId);
+    const day = sleepDayFor(updated, timezone);
+    const moved = day.getTime() !== entry.date.getTime();
+    const target = moved ? await Entry.findOrCreateForDay(req.userId, day) : entry;
+
+    const clash = target.sleepSessions.some((existing) => (
+      !existing._id.equals(session._id) && overlaps(existing, updated)
+    ));
+    if (clash) {
+      logger.info({ userId: req.userId, entryId: target._id, sessionId }, 'Sleep session overlaps an existing one');
+      return res.status(409).json({
+        status: 'error',
+        message: 'Sleep session overlaps an existing session'
+      });
+    }
+
+    if (moved) {
+      // Save the new day first so a failure can't lose the session
+      target.sleepSessions.push(updated);
+      await target.save();
+      session.deleteOne();
+      await entry.save();
+    } else {
+      SLEEP_SESSION_FIELDS.forEach((field) => { session[field] = updated[field]; });
+      await entry.save();
+    }
+
+    logger.info({ userId: req.userId, entryId: target._id, sessionId, moved }, 'Sleep session updated');
+
+    const newAchievements = await refreshAchievements(req.userId);
+
+    res.json({
+      status: 'success',
+      message: 'Sleep session updated successfully',
+      moved,
+      data: { session: target.sleepSessions.id(sessionId), entry: entryToUnits(target, req.unitSystem) },
+      units: unitsFor(req.unitSystem),
+      newAchievements
+    });
+  })
+);
+
+router.delete(
+  '/:id/sleep/:sessionId',
+  auth,
+  unitPreference(),
+  sleepSessionIdValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Sleep session validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id, sessionId } = req.params;
+
+    const entry = await Entry.findOne({ _id: id, user: req.userId });
+    const session = entry?.sleepSessions.id(sessionId);
+    if (!session) {
+      logger.warn({ userId: req.userId, entryId: id, sessionId }, 'Sleep session not found');
+      return res.status(404).json({
+        status: 'error',
+        message: entry ? 'Sleep session not found' : 'Entry not found'
+      });
+    }
+
+    session.deleteOne();
+    await entry.save();
+
+    logger.info({ userId: req.userId, entryId: id, sessionId }, 'Sleep session deleted');
+
+    await refreshAchievements(req.userId);
+
+    res.json({
+      status: 'success',
+      message: 'Sleep session deleted successfully',
+      data: entryToUnits(entry, req.unitSystem),
+      units: unitsFor(req.unitSystem)
+    });
+  })
+);
+
+/* =========================================================
+   MOOD CHECK-INS — /entries/:id/mood/:checkInId
+   Changing `at` can move a check-in to another day
+========================================================= */
+router.patch(
+  '/:id/mood/:checkInId',
+  auth,
+  unitPreference(),
+  updateMoodCheckInValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Mood check-in validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id, checkInId } = req.params;
+
+    const entry = await Entry.findOne({ _id: id, user: req.userId });
+    const checkIn = entry?.moodCheckIns.id(checkInId);
+    if (!checkIn) {
+      logger.warn({ userId: req.userId, entryId: id, checkInId }, 'Mood check-in not found');
+      return res.status(404).json({
+        status: 'error',
+        message: entry ? 'Mood check-in not found' : 'Entry not found'
+      });
+    }
+
+    // `at` and `score` are required; null only clears tags and journal
+    const updated = checkIn.toObject();
+    MOOD_CHECK_IN_FIELDS.forEach((field) => {
+      if (req.body[field] === undefined) return;
+      if (req.body[field] !== null) updated[field] = req.body[field];
+      else if (field === 'tags') updated.tags = [];
+      else if (field === 'journal') updated.journal = undefined;
+    });
+
+    const { timezone } = await getUserPreferences(req.userId);
+    const day = toEntryDay(updated.at, timezone);
+    const moved = day.getTime() !== entry.date.getTime();
+    const target = moved ? await Entry.findOrCreateForDay(req.userId, day) : entry;
+
+    if (moved) {
+      // Save the new day first so a failure can't lose the check-in
+      target.moodCheckIns.push(updated);
+      await target.save();
+      checkIn.deleteOne();
+      await entry.save();
+    } else {
+      MOOD_CHECK_IN_FIELDS.forEach((field) => { checkIn[field] = updated[field]; });
+      await entry.save();
+    }
+
+    logger.info({ userId: req.userId, entryId: target._id, checkInId, moved }, 'Mood check-in updated');
+
+    const newAchievements = await refreshAchievements(req.userId);
+
+    res.json({
+      status: 'success',
+      message: 'Mood check-in updated successfully',
+      moved,
+      data: { checkIn: target.moodCheckIns.id(checkInId), entry: entryToUnits(target, req.unitSystem) },
+      units: unitsFor(req.unitSystem),
+      newAchievements
+    });
+  })
+);
+
+router.delete(
+  '/:id/mood/:checkInId',
+  auth,
+  unitPreference(),
+  moodCheckInIdValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Mood check-in validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id, checkInId } = req.params;
+
+    const entry = await Entry.findOne({ _id: id, user: req.userId });
+    const checkIn = entry?.moodCheckIns.id(checkInId);
+    if (!checkIn) {
+      logger.warn({ userId: req.userId, entryId: id, checkInId }, 'Mood check-in not found');
+      return res.status(404).json({
+        status: 'error',
+        message: entry ? 'Mood check-in not found' : 'Entry not found'
+      });
+    }
+
+    checkIn.deleteOne();
+    await entry.save();
+
+    logger.info({ userId: req.userId, entryId: id, checkInId }, 'Mood check-in deleted');
+
+    await refreshAchievements(req.userId);
+
+    res.json({
+      status: 'success',
+      message: 'Mood check-in deleted successfully',
+      data: entryToUnits(entry, req.unitSystem),
+      units: unitsFor(req.unitSystem)
+    });
+  })
+);
+
+/* =========================================================
+   WATER — /entries/:id/water/:eventId
+========================================================= */
+router.delete(
+  '/:id/water/:eventId',
+  auth,
+  unitPreference(),
+  waterEventIdValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Water event validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id, eventId } = req.params;
+
+    const entry = await Entry.findOne({ _id: id, user: req.userId });
+    const event = entry?.waterEvents.id(eventId);
+    if (!event) {
+      logger.warn({ userId: req.userId, entryId: id, eventId }, 'Water event not found');
+      return res.status(404).json({
+        status: 'error',
+        message: entry ? 'Water event not found' : 'Entry not found'
+      });
+    }
+
+    event.deleteOne();
+    await entry.save();
+
+    logger.info({ userId: req.userId, entryId: id, eventId }, 'Water event deleted');
+
+    await refreshAchievements(req.userId);
+
+    const { timezone } = await getUserPreferences(req.userId);
+
+    res.json({
+      status: 'success',
+      message: 'Water event deleted successfully',
+      data: {
+        entryId: entry._id,
+        date: formatEntryDay(entry.date),
+        ...waterSummaryToUnits(summarizeWater(entry, timezone), req.unitSystem)
+      },
+      units: unitsFor(req.unitSystem)
+    });
+  })
+);
+
+/* =========================================================
+   DELETE ENTRY
+========================================================= */
+router.delete(
+  '/:id',
+  auth,
+  deleteEntryValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Delete validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    try {
+      const entry = await Entry.findOneAndDelete({
+        _id: id,
+        user: req.userId
+      });
+
+      if (!entry) {
+        logger.warn({ userId: req.userId, entryId: id }, 'Entry not found');
+        return res.status(404).json({
+          status: 'error',
+          message: 'Entry not found'
+        });
+      }
+
+      // Measurements outlive the entry; only the link goes
+      await Measurement.updateMany({ entry: entry._id }, { $unset: { entry: 1 } });
+
+      logger.info({ userId: req.userId, entryId: id }, 'Entry deleted successfully');
+
+      // Streaks shrink but earned badges are kept
+      await refreshAchievements(req.userId);
 
       res.json({
         status: 'success',
@@ -0,0 +1,320 @@
+/**
+ * ✅ PRODUCTION-GRADE: Food Library Routes
+ * Autocomplete over the shared catalog and the user's custom foods,
+ * plus recent and favorite foods. Values are per serving.
+ */
+
+const express = require('express');
+const { validationResult } = require('express-validator');
+const Food = require('../models/Food');
+const UserFood = require('../models/UserFood');
+const auth = require('../middleware/authmiddleware');
+const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+const { NUTRIENT_FIELDS } = require('../utils/nutrition');
+const {
+  searchFoods,
+  findVisibleFood,
+  setFavorite,
+  getRecentFoods,
+  getFavoriteFoods,
+  withUserState
+} = require('../utils/foods');
+const {
+  foodSearchValidator,
+  recentFoodsValidator,
+  createFoodValidator,
+  updateFoodValidator,
+  foodIdValidator
+} = require('../utils/validators');
+
+const router = express.Router();
+
+const DEFAULT_SEARCH_LIMIT = 10;
+const DEFAULT_RECENT_LIMIT = 20;
+
+// Fields a client may write on a custom food
+const FOOD_FIELDS = ['name', 'brand', 'servingSize', 'servingUnit', 'calories', ...NUTRIENT_FIELDS];
+
+/**
+ * Copy custom food fields from a request body; null clears an optional value
+ */
+const applyFoodFields = (food, body) => {
+  FOOD_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) food[field] = body[field] ?? undefined;
+  });
+};
+
+/* =========================================================
+   AUTOCOMPLETE SEARCH — MUST BE ABOVE /:id ROUTES
+========================================================= */
+router.get(
+  '/search',
+  auth,
+  foodSearchValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Food search validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const foods = await searchFoods(req.userId, req.query.q, req.query.limit || DEFAULT_SEARCH_LIMIT);
+
+    res.json({
+      status: 'success',
+      count: foods.length,
+      data: foods
+    });
+  })
+);
+
+/* =========================================================
+   RECENT & FAVORITE FOODS
+========================================================= */
+router.get(
+  '/recent',
+  auth,
+  recentFoodsValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Recent foods validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const foods = await getRecentFoods(req.userId, req.query.limit || DEFAULT_RECENT_LIMIT);
+
+    res.json({
+      status: 'success',
+      count: foods.length,
+      data: foods
+    });
+  })
+);
+
+router.get(
+  '/favorites',
+  auth,
+  asyncHandler(async (req, res) => {
+    const foods = await getFavoriteFoods(req.userId);
+
+    res.json({
+      status: 'success',
+      count: foods.length,
+      data: foods
+    });
+  })
+);
+
+/* =========================================================
+   CUSTOM FOODS
+========================================================= */
+router.post(
+  '/',
+  auth,
+  createFoodValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Custom food validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const food = new Food({ owner: req.userId, source: 'custom' });
+    applyFoodFields(food, req.body);
+    await food.save();
+
+    logger.info({ userId: req.userId, foodId: food._id }, 'Custom food created');
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Food created successfully',
+      data: food
+    });
+  })
+);
+
+router.get(
+  '/:id',
+  auth,
+  foodIdValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Food lookup validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const food = await findVisibleFood(req.userId, req.params.id);
+    if (!food) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Food not found'
+      });
+    }
+
+    const [withState] = await withUserState(req.userId, [food]);
+
+    res.json({
+      status: 'success',
+      data: withState
+    });
+  })
+);
+
+router.put(
+  '/:id',
+  auth,
+  updateFoodValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Custom food update validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const food = await Food.findOne({ _id: req.params.id, owner: req.userId });
+    if (!food) {
+      logger.warn({ userId: req.userId, foodId: req.params.id }, 'Custom food not found');
+      return res.status(404).json({
+        status: 'error',
+        message: 'Food not found'
+      });
+    }
+
+    applyFoodFields(food, req.body);
+    await food.save();
+
+    logger.info({ userId: req.userId, foodId: food._id }, 'Custom food updated');
+
+    res.json({
+      status: 'success',
+      message: 'Food updated successfully',
+      data: food
+    });
+  })
+);
+
+// Entries keep the values copied from the food; only the library item goes away
+router.delete(
+  '/:id',
+  auth,
+  foodIdValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Custom food delete validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const food = await Food.findOne({ _id: req.params.id, owner: req.userId });
+    if (!food) {
+      logger.warn({ userId: req.userId, foodId: req.params.id }, 'Custom food not found');
+      return res.status(404).json({
+        status: 'error',
+        message: 'Food not found'
+      });
+    }
+
+    await Promise.all([
+      food.deleteOne(),
+      UserFood.deleteMany({ food: food._id })
+    ]);
+
+    logger.info({ userId: req.userId, foodId: food._id }, 'Custom food deleted');
+
+    res.json({
+      status: 'success',
+      message: 'Food deleted successfully'
+    });
+  })
+);
+
+/* =========================================================
+   FAVORITES — PUT marks, DELETE unmarks
+========================================================= */
+router.put(
+  '/:id/favorite',
+  auth,
+  foodIdValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Favorite food validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const food = await findVisibleFood(req.userId, req.params.id);
+    if (!food) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Food not found'
+      });
+    }
+
+    await setFavorite(req.userId, food._id, true);
+
+    res.json({
+      status: 'success',
+      message: 'Food added to favorites'
+    });
+  })
+);
+
+router.delete(
+  '/:id/favorite',
+  auth,
+  foodIdValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Favorite food validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    await UserFood.updateOne(
+      { user: req.userId, food: req.params.id },
+      { $set: { favorite: false } }
+    );
+
+    res.json({
+      status: 'success',
+      message: 'Food removed from favorites'
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,296 @@
+/**
+ * ✅ PRODUCTION-GRADE: Goals Routes
+ * Effective-dated goal versions: setting a goal starts a new version from a day onwards,
+ * so earlier days keep being measured against the targets that applied at the time
+ */
+
+const express = require('express');
+const { validationResult } = require('express-validator');
+const Goal = require('../models/Goal');
+const auth = require('../middleware/authmiddleware');
+const unitPreference = require('../middleware/unitPreference');
+const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+const { getUserPreferences } = require('../utils/preferences');
+const { toEntryDay, todayFor } = require('../utils/dates');
+const { GOAL_FIELDS } = require('../utils/goals');
+const { unitsFor, goalToUnits, goalFromUnits } = require('../utils/units');
+const {
+  setGoalValidator,
+  updateGoalValidator,
+  goalIdValidator,
+  currentGoalValidator
+} = require('../utils/validators');
+
+const router = express.Router();
+
+/**
+ * Copy goal targets from a request body onto a goal document
+ * `calories` is merged so { min } alone keeps the existing max; null clears a target
+ */
+const applyGoalFields = (goal, body) => {
+  GOAL_FIELDS.forEach((field) => {
+    if (body[field] === undefined) return;
+
+    if (field === 'calories') {
+      const current = goal.calories || {};
+      goal.calories = {
+        min: body.calories?.min !== undefined ? body.calories.min : current.min,
+        max: body.calories?.max !== undefined ? body.calories.max : current.max
+      };
+    } else {
+      goal[field] = body[field];
+    }
+  });
+};
+
+/**
+ * Return the version in force on a day (latest effectiveFrom <= day)
+ */
+const findGoalForDay = (userId, day) => Goal.findOne({
+  user: userId,
+  effectiveFrom: { $lte: day }
+}).sort({ effectiveFrom: -1 });
+
+/* =========================================================
+   GOAL HISTORY
+========================================================= */
+router.get(
+  '/',
+  auth,
+  unitPreference(),
+  asyncHandler(async (req, res) => {
+    logger.info({ userId: req.userId }, 'Fetching goal history');
+
+    const goals = await Goal.find({ user: req.userId }).sort({ effectiveFrom: -1 });
+
+    res.json({
+      status: 'success',
+      count: goals.length,
+      data: goals.map((goal) => goalToUnits(goal, req.unitSystem)),
+      units: unitsFor(req.unitSystem)
+    });
+  })
+);
+
+/* =========================================================
+   GOAL IN FORCE TODAY (or on ?date=)
+========================================================= */
+router.get(
+  '/current',
+  auth,
+  unitPreference(),
+  currentGoalValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Current goal validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { timezone } = await getUserPreferences(req.userId);
+    const day = req.query.date ? toEntryDay(req.query.date, timezone) : todayFor(timezone);
+
+    const goal = await findGoalForDay(req.userId, day);
+
+    res.json({
+      status: 'success',
+      data: goalToUnits(goal, req.unitSystem),
+      units: unitsFor(req.unitSystem)
+    });
+  })
+);
+
+/* =========================================================
+   SET GOALS FROM A DAY ONWARDS (new version)
+========================================================= */
+router.post(
+  '/',
+  auth,
+  unitPreference(goalFromUnits),
+  setGoalValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Goal validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { timezone } = await getUserPreferences(req.userId);
+    const today = todayFor(timezone);
+    const effectiveFrom = req.body.effectiveFrom
+      ? toEntryDay(req.body.effectiveFrom, timezone)
+      : today;
+
+    // Days already measured keep their targets, so versions can't start in the past
+    if (effectiveFrom < today) {
+      logger.warn({ userId: req.userId, effectiveFrom }, 'Backdated goal version rejected');
+      return res.status(400).json({
+        status: 'error',
+        message: 'effectiveFrom must be today or later'
+      });
+    }
+
+    // Unspecified targets carry over from the version in force on that day;
+    // a version starting that same day (today or later) is edited in place
+    const previous = await findGoalForDay(req.userId, effectiveFrom);
+    const sameDay = previous && previous.effectiveFrom.getTime() === effectiveFrom.getTime();
+
+    let goal;
+    if (sameDay) {
+      goal = previous;
+    } else {
+      goal = new Goal({ user: req.userId, effectiveFrom });
+      if (previous) {
+        const targets = previous.toObject();
+        GOAL_FIELDS.forEach((field) => {
+          goal[field] = targets[field];
+        });
+      }
+    }
+
+    applyGoalFields(goal, req.body);
+    await goal.save();
+
+    const created = !sameDay;
+    logger.info({ userId: req.userId, goalId: goal._id, effectiveFrom, created }, 'Goals set');
+
+    res.status(created ? 201 : 200).json({
+      status: 'success',
+      message: created ? 'Goal version created' : 'Goal version updated',
+      created,
+      data: goalToUnits(goal, req.unitSystem),
+      units: unitsFor(req.unitSystem)
+    });
+  })
+);
+
+/* =========================================================
+   EDIT A GOAL VERSION
+   Versions starting today or later are edited in place; editing the version
+   in force today starts a new version from today, like POST does
+========================================================= */
+router.put(
+  '/:id',
+  auth,
+  unitPreference(goalFromUnits),
+  updateGoalValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Goal update validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const existing = await Goal.findOne({ _id: id, user: req.userId });
+    if (!existing) {
+      logger.warn({ userId: req.userId, goalId: id }, 'Goal not found');
+      return res.status(404).json({
+        status: 'error',
+        message: 'Goal not found'
+      });
+    }
+
+    const { timezone } = await getUserPreferences(req.userId);
+    const today = todayFor(timezone);
+
+    let goal = existing;
+    if (existing.effectiveFrom < today) {
+      // Days already measured against this version keep its targets
+      const current = await findGoalForDay(req.userId, today);
+      if (!current._id.equals(existing._id)) {
+        logger.warn({ userId: req.userId, goalId: id }, 'Superseded goal version update rejected');
+        return res.status(409).json({
+          status: 'error',
+          message: 'This goal version has been replaced by a later one and can no longer be changed'
+        });
+      }
+
+      goal = new Goal({ user: req.userId, effectiveFrom: today });
+      const targets = existing.toObject();
+      GOAL_FIELDS.forEach((field) => {
+        goal[field] = targets[field];
+      });
+    }
+
+    applyGoalFields(goal, req.body);
+    await goal.save();
+
+    const created = goal !== existing;
+    logger.info({ userId: req.userId, goalId: goal._id, previousGoalId: id, created }, 'Goal updated successfully');
+
+    res.status(created ? 201 : 200).json({
+      status: 'success',
+      message: created ? 'Goal version created' : 'Goal updated successfully',
+      created,
+      data: goalToUnits(goal, req.unitSystem),
+      units: unitsFor(req.unitSystem)
+    });
+  })
+);
+
+/* =========================================================
+   DELETE A GOAL VERSION (today's or a future one)
+========================================================= */
+router.delete(
+  '/:id',
+  auth,
+  goalIdValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Goal delete validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const goal = await Goal.findOne({ _id: id, user: req.userId });
+    if (!goal) {
+      logger.warn({ userId: req.userId, goalId: id }, 'Goal not found');
+      return res.status(404).json({
+        status: 'error',
+        message: 'Goal not found'
+      });
+    }
+
+    // Days already measured against a version keep its targets
+    const { timezone } = await getUserPreferences(req.userId);
+    if (goal.effectiveFrom < todayFor(timezone)) {
+      logger.warn({ userId: req.userId, goalId: id }, 'Started goal version delete rejected');
+      return res.status(409).json({
+        status: 'error',
+        message: 'Goal versions that started before today can no longer be deleted'
+      });
+    }
+
+    await goal.deleteOne();
+
+    logger.info({ userId: req.userId, goalId: id }, 'Goal deleted successfully');
+
+    res.json({
+      status: 'success',
+      message: 'Goal deleted successfully'
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,140 @@
+/**
+ * ✅ PRODUCTION-GRADE: Heart Rate Routes
+ * Batch ingestion of intraday samples (e.g. from a wearable) and the daily
+ * resting / average / max figures derived from them
+ */
+
+const express = require('express');
+const { validationResult } = require('express-validator');
+const Entry = require('../models/Entry');
+const auth = require('../middleware/authmiddleware');
+const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+const { getUserPreferences } = require('../utils/preferences');
+const { toDayRange } = require('../utils/dates');
+const { ingestSamples, refreshDailyHeartRate, getSamples } = require('../utils/heartRate');
+const {
+  heartRateSamplesValidator,
+  heartRateSamplesQueryValidator,
+  heartRateDailyValidator
+} = require('../utils/validators');
+
+const router = express.Router();
+
+const DEFAULT_SAMPLE_LIMIT = 5000;
+
+/* =========================================================
+   BATCH INGESTION
+========================================================= */
+router.post(
+  '/samples',
+  auth,
+  heartRateSamplesValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Heart rate samples validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { samples, source } = req.body;
+    const { timezone } = await getUserPreferences(req.userId);
+
+    const { inserted, duplicates, days } = await ingestSamples(req.userId, samples, { source, timezone });
+    const daily = await refreshDailyHeartRate(req.userId, days, timezone);
+
+    logger.info({ userId: req.userId, inserted, duplicates, days: days.length }, 'Heart rate samples ingested');
+
+    res.status(inserted ? 201 : 200).json({
+      status: 'success',
+      message: 'Heart rate samples ingested',
+      data: {
+        received: samples.length,
+        inserted,
+        duplicates,
+        daily
+      }
+    });
+  })
+);
+
+/* =========================================================
+   RAW SAMPLES (for charts)
+========================================================= */
+router.get(
+  '/samples',
+  auth,
+  heartRateSamplesQueryValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Heart rate samples query validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { from, to, limit } = req.query;
+
+    const samples = await getSamples(req.userId, {
+      from: new Date(from),
+      to: new Date(to),
+      limit: limit || DEFAULT_SAMPLE_LIMIT
+    });
+
+    res.json({
+      status: 'success',
+      count: samples.length,
+      data: samples
+    });
+  })
+);
+
+/* =========================================================
+   DAILY RESTING / AVERAGE / MAX
+========================================================= */
+router.get(
+  '/daily',
+  auth,
+  heartRateDailyValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Heart rate daily validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { timezone } = await getUserPreferences(req.userId);
+    const dateRange = toDayRange(req.query.from, req.query.to, timezone);
+
+    const filter = { user: req.userId, heartRateSummary: { $exists: true } };
+    if (dateRange) filter.date = dateRange;
+
+    const entries = await Entry.find(filter)
+      .sort({ date: 1 })
+      .select('date heartRate heartRateSummary')
+      .lean();
+
+    res.json({
+      status: 'success',
+      count: entries.length,
+      data: entries.map(({ date, heartRate, heartRateSummary }) => ({
+        date,
+        heartRate,
+        ...heartRateSummary
+      }))
+    });
+  })
+);
+
+module.exports = router;
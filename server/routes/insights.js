@@ -0,0 +1,79 @@
+/**
+ * ✅ PRODUCTION-GRADE: Insight Routes
+ * Deterministic analysis of a user's own data (no AI involved)
+ */
+
+const express = require('express');
+const { validationResult } = require('express-validator');
+const Entry = require('../models/Entry');
+const auth = require('../middleware/authmiddleware');
+const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+const { getUserPreferences } = require('../utils/preferences');
+const { toEntryDay, todayFor, addDays } = require('../utils/dates');
+const { SYMPTOM_VOCABULARY } = require('../utils/symptoms');
+const { computeCorrelations } = require('../utils/correlations');
+const { correlationsValidator } = require('../utils/validators');
+
+const router = express.Router();
+
+const DEFAULT_CORRELATION_WINDOW_DAYS = 30;
+
+/* =========================================================
+   SYMPTOM VOCABULARY
+========================================================= */
+router.get(
+  '/symptoms',
+  auth,
+  (req, res) => {
+    res.json({
+      status: 'success',
+      data: Object.entries(SYMPTOM_VOCABULARY).map(([name, synonyms]) => ({ name, synonyms }))
+    });
+  }
+);
+
+/* =========================================================
+   SYMPTOM–LIFESTYLE CORRELATIONS
+========================================================= */
+router.get(
+  '/correlations',
+  auth,
+  correlationsValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Correlations validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { symptom, lag: lagDays = 0 } = req.query;
+    const { timezone } = await getUserPreferences(req.userId);
+
+    // Default window: the last 30 days up to `to` (or today)
+    const to = req.query.to ? toEntryDay(req.query.to, timezone) : todayFor(timezone);
+    const from = req.query.from
+      ? toEntryDay(req.query.from, timezone)
+      : addDays(to, -(DEFAULT_CORRELATION_WINDOW_DAYS - 1));
+
+    // Lagged factors reach back before the window
+    const entries = await Entry.find({ user: req.userId, date: { $gte: addDays(from, -lagDays), $lte: to } })
+      .select('date sleep calories waterIntake workouts foodIntake.food foodIntake.foodRef symptoms')
+      .lean();
+
+    const correlations = computeCorrelations(entries, { from, to, lagDays, symptom });
+
+    logger.info({ userId: req.userId, symptoms: correlations.symptoms.length, lagDays }, 'Correlations computed');
+
+    res.json({
+      status: 'success',
+      data: correlations
+    });
+  })
+);
+
+module.exports = router;
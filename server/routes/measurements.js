@@ -0,0 +1,370 @@
+/**
+ * ✅ PRODUCTION-GRADE: Body Measurement Routes
+ * Weight, body-fat percentage and circumferences, with moving-average trend
+ * lines and BMI from the height on the user's profile
+ */
+
+const express = require('express');
+const { validationResult } = require('express-validator');
+const Entry = require('../models/Entry');
+const Measurement = require('../models/Measurement');
+const User = require('../models/User');
+const auth = require('../middleware/authmiddleware');
+const unitPreference = require('../middleware/unitPreference');
+const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+const { getUserPreferences } = require('../utils/preferences');
+const { toEntryDay, toDayRange, addDays, formatEntryDay } = require('../utils/dates');
+const {
+  MEASUREMENT_FIELDS,
+  DEFAULT_TREND_WINDOW_DAYS,
+  computeBmi,
+  buildTrend,
+  summarizeLatest
+} = require('../utils/measurements');
+const {
+  unitsFor,
+  measurementToUnits,
+  measurementFromUnits,
+  trendToUnits,
+  latestToUnits
+} = require('../utils/units');
+const {
+  createMeasurementValidator,
+  updateMeasurementValidator,
+  measurementIdValidator,
+  listMeasurementsValidator,
+  measurementTrendValidator
+} = require('../utils/validators');
+
+const router = express.Router();
+
+const DEFAULT_LIST_LIMIT = 100;
+
+const getHeightCm = async (userId) => {
+  const user = await User.findById(userId).select('heightCm').lean();
+  return user?.heightCm;
+};
+
+/**
+ * Copy metric values and notes from a request body; null clears a value
+ */
+const applyMeasurementFields = (measurement, body) => {
+  [...MEASUREMENT_FIELDS, 'notes'].forEach((field) => {
+    if (body[field] !== undefined) measurement[field] = body[field] ?? undefined;
+  });
+};
+
+/**
+ * Link a measurement to the entry for its day (creating the entry) or unlink it
+ */
+const applyEntryLink = async (measurement, userId, linkEntry) => {
+  if (linkEntry === undefined) return;
+  measurement.entry = linkEntry
+    ? (await Entry.findOrCreateForDay(userId, measurement.date))._id
+    : undefined;
+};
+
+/**
+ * Response shape of a measurement (document or lean object): BMI added, values in the user's units
+ */
+const withBmi = (measurement, heightCm, unitSystem) => measurementToUnits({
+  ...(typeof measurement.toObject === 'function' ? measurement.toObject() : measurement),
+  bmi: computeBmi(measurement.weightKg, heightCm)
+}, unitSystem);
+
+/* =========================================================
+   LATEST VALUES & BMI — MUST BE ABOVE /:id ROUTES
+========================================================= */
+router.get(
+  '/latest',
+  auth,
+  unitPreference(),
+  asyncHandler(async (req, res) => {
+    // Metrics are recorded at different cadences, so look up the newest of each
+    const [heightCm, ...latest] = await Promise.all([
+      getHeightCm(req.userId),
+      ...MEASUREMENT_FIELDS.map((field) => Measurement.findOne({ user: req.userId, [field]: { $exists: true } })
+        .sort({ measuredAt: -1 })
+        .lean())
+    ]);
+
+    const measurements = latest
+      .filter(Boolean)
+      .sort((a, b) => b.measuredAt - a.measuredAt);
+
+    res.json({
+      status: 'success',
+      data: latestToUnits(summarizeLatest(measurements, heightCm), req.unitSystem),
+      units: unitsFor(req.unitSystem)
+    });
+  })
+);
+
+/* =========================================================
+   TREND LINE (moving average)
+========================================================= */
+router.get(
+  '/trends',
+  auth,
+  unitPreference(),
+  measurementTrendValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Measurement trend validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const metric = req.query.metric || 'weightKg';
+    const windowDays = req.query.window || DEFAULT_TREND_WINDOW_DAYS;
+
+    const [{ timezone }, heightCm] = await Promise.all([
+      getUserPreferences(req.userId),
+      getHeightCm(req.userId)
+    ]);
+    const dateRange = toDayRange(req.query.from, req.query.to, timezone);
+
+    // Days before `from` still feed the first points' averages
+    const filter = { user: req.userId, [metric]: { $exists: true } };
+    if (dateRange) {
+      filter.date = { ...dateRange };
+      if (dateRange.$gte) filter.date.$gte = addDays(dateRange.$gte, -(windowDays - 1));
+    }
+
+    const measurements = await Measurement.find(filter)
+      .sort({ measuredAt: 1 })
+      .select(`date measuredAt ${metric}`)
+      .lean();
+
+    const trend = buildTrend(measurements, metric, {
+      windowDays,
+      heightCm,
+      from: dateRange?.$gte && formatEntryDay(dateRange.$gte)
+    });
+
+    res.json({
+      status: 'success',
+      count: trend.points.length,
+      data: trendToUnits(trend, req.unitSystem),
+      units: unitsFor(req.unitSystem)
+    });
+  })
+);
+
+/* =========================================================
+   LIST & CREATE
+========================================================= */
+router.get(
+  '/',
+  auth,
+  unitPreference(),
+  listMeasurementsValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Measurement list validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const [{ timezone }, heightCm] = await Promise.all([
+      getUserPreferences(req.userId),
+      getHeightCm(req.userId)
+    ]);
+    const dateRange = toDayRange(req.query.from, req.query.to, timezone);
+
+    const filter = { user: req.userId };
+    if (dateRange) filter.date = dateRange;
+
+    const measurements = await Measurement.find(filter)
+      .sort({ measuredAt: -1 })
+      .limit(req.query.limit || DEFAULT_LIST_LIMIT)
+      .lean();
+
+    res.json({
+      status: 'success',
+      count: measurements.length,
+      data: measurements.map((measurement) => withBmi(measurement, heightCm, req.unitSystem)),
+      units: unitsFor(req.unitSystem)
+    });
+  })
+);
+
+router.post(
+  '/',
+  auth,
+  unitPreference(measurementFromUnits),
+  createMeasurementValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Measurement validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const [{ timezone }, heightCm] = await Promise.all([
+      getUserPreferences(req.userId),
+      getHeightCm(req.userId)
+    ]);
+
+    const measuredAt = req.body.measuredAt ? new Date(req.body.measuredAt) : new Date();
+    const measurement = new Measurement({
+      user: req.userId,
+      measuredAt,
+      date: toEntryDay(measuredAt, timezone)
+    });
+    applyMeasurementFields(measurement, req.body);
+    await applyEntryLink(measurement, req.userId, req.body.linkEntry);
+    await measurement.save();
+
+    logger.info({ userId: req.userId, measurementId: measurement._id }, 'Measurement recorded');
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Measurement recorded successfully',
+      data: withBmi(measurement, heightCm, req.unitSystem),
+      units: unitsFor(req.unitSystem)
+    });
+  })
+);
+
+/* =========================================================
+   SINGLE MEASUREMENT
+========================================================= */
+router.get(
+  '/:id',
+  auth,
+  unitPreference(),
+  measurementIdValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Measurement lookup validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const [measurement, heightCm] = await Promise.all([
+      Measurement.findOne({ _id: req.params.id, user: req.userId }),
+      getHeightCm(req.userId)
+    ]);
+    if (!measurement) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Measurement not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: withBmi(measurement, heightCm, req.unitSystem),
+      units: unitsFor(req.unitSystem)
+    });
+  })
+);
+
+router.put(
+  '/:id',
+  auth,
+  unitPreference(measurementFromUnits),
+  updateMeasurementValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Measurement update validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const measurement = await Measurement.findOne({ _id: req.params.id, user: req.userId });
+    if (!measurement) {
+      logger.warn({ userId: req.userId, measurementId: req.params.id }, 'Measurement not found');
+      return res.status(404).json({
+        status: 'error',
+        message: 'Measurement not found'
+      });
+    }
+
+    const [{ timezone }, heightCm] = await Promise.all([
+      getUserPreferences(req.userId),
+      getHeightCm(req.userId)
+    ]);
+
+    applyMeasurementFields(measurement, req.body);
+
+    let { linkEntry } = req.body;
+    if (req.body.measuredAt) {
+      measurement.measuredAt = new Date(req.body.measuredAt);
+      const day = toEntryDay(measurement.measuredAt, timezone);
+      // A linked measurement that moves to another day follows it to that day's entry
+      if (day.getTime() !== measurement.date.getTime()) {
+        measurement.date = day;
+        if (linkEntry === undefined && measurement.entry) linkEntry = true;
+      }
+    }
+    await applyEntryLink(measurement, req.userId, linkEntry);
+    await measurement.save();
+
+    logger.info({ userId: req.userId, measurementId: measurement._id }, 'Measurement updated');
+
+    res.json({
+      status: 'success',
+      message: 'Measurement updated successfully',
+      data: withBmi(measurement, heightCm, req.unitSystem),
+      units: unitsFor(req.unitSystem)
+    });
+  })
+);
+
+router.delete(
+  '/:id',
+  auth,
+  measurementIdValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Measurement delete validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const measurement = await Measurement.findOneAndDelete({ _id: req.params.id, user: req.userId });
+    if (!measurement) {
+      logger.warn({ userId: req.userId, measurementId: req.params.id }, 'Measurement not found');
+      return res.status(404).json({
+        status: 'error',
+        message: 'Measurement not found'
+      });
+    }
+
+    logger.info({ userId: req.userId, measurementId: measurement._id }, 'Measurement deleted');
+
+    res.json({
+      status: 'success',
+      message: 'Measurement deleted successfully'
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,403 @@
+/**
+ * ✅ PRODUCTION-GRADE: Medication & Supplement Routes
+ * Medication definitions with dose and schedule, taken/skipped dose logging
+ * and adherence over a range of days
+ */
+
+const express = require('express');
+const { validationResult } = require('express-validator');
+const Medication = require('../models/Medication');
+const MedicationDose = require('../models/MedicationDose');
+const auth = require('../middleware/authmiddleware');
+const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+const { getUserPreferences } = require('../utils/preferences');
+const { toEntryDay, todayFor, toDayRange } = require('../utils/dates');
+const { getMedicationAdherence } = require('../utils/stats');
+const {
+  createMedicationValidator,
+  updateMedicationValidator,
+  medicationIdValidator,
+  listMedicationsValidator,
+  logDoseValidator,
+  listDosesValidator,
+  doseIdValidator,
+  medicationAdherenceValidator
+} = require('../utils/validators');
+
+const router = express.Router();
+
+/**
+ * Copy medication fields from a request body; null clears an optional value
+ * A schedule is replaced as a whole; days are converted to entry days
+ */
+const applyMedicationFields = (medication, body, timezone) => {
+  ['name', 'kind', 'instructions'].forEach((field) => {
+    if (body[field] !== undefined) medication[field] = body[field] ?? undefined;
+  });
+
+  if (body.dose !== undefined) {
+    ['amount', 'unit'].forEach((field) => {
+      if (body.dose?.[field] !== undefined) medication.set(`dose.${field}`, body.dose[field] ?? undefined);
+    });
+  }
+
+  if (body.schedule !== undefined) {
+    const { type, timesPerDay, times } = body.schedule;
+    medication.schedule = { type, timesPerDay, times };
+  }
+
+  if (body.startDate !== undefined) medication.startDate = toEntryDay(body.startDate, timezone);
+  if (body.endDate !== undefined) {
+    medication.endDate = body.endDate === null ? undefined : toEntryDay(body.endDate, timezone);
+  }
+};
+
+/* =========================================================
+   ADHERENCE — MUST BE ABOVE /:id ROUTES
+========================================================= */
+router.get(
+  '/adherence',
+  auth,
+  medicationAdherenceValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Medication adherence validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { timezone } = await getUserPreferences(req.userId);
+    const dateRange = toDayRange(req.query.from, req.query.to, timezone);
+
+    const adherence = await getMedicationAdherence(req.userId, {
+      dateRange,
+      timezone,
+      granularity: req.query.granularity
+    });
+
+    res.json({
+      status: 'success',
+      data: adherence
+    });
+  })
+);
+
+/* =========================================================
+   MEDICATIONS
+========================================================= */
+router.get(
+  '/',
+  auth,
+  listMedicationsValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Medication list validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const filter = { user: req.userId };
+    if (req.query.active !== undefined) {
+      const { timezone } = await getUserPreferences(req.userId);
+      const today = todayFor(timezone);
+      if (req.query.active) {
+        filter.$or = [{ endDate: null }, { endDate: { $gte: today } }];
+      } else {
+        filter.endDate = { $lt: today };
+      }
+    }
+
+    const medications = await Medication.find(filter).sort({ name: 1 });
+
+    res.json({
+      status: 'success',
+      count: medications.length,
+      data: medications
+    });
+  })
+);
+
+router.post(
+  '/',
+  auth,
+  createMedicationValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Medication validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { timezone } = await getUserPreferences(req.userId);
+
+    const medication = new Medication({ user: req.userId, startDate: todayFor(timezone) });
+    applyMedicationFields(medication, req.body, timezone);
+    await medication.save();
+
+    logger.info({ userId: req.userId, medicationId: medication._id }, 'Medication created');
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Medication created successfully',
+      data: medication
+    });
+  })
+);
+
+router.get(
+  '/:id',
+  auth,
+  medicationIdValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Medication lookup validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const medication = await Medication.findOne({ _id: req.params.id, user: req.userId });
+    if (!medication) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Medication not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: medication
+    });
+  })
+);
+
+// Setting `endDate` stops a medication while keeping its dose history
+router.put(
+  '/:id',
+  auth,
+  updateMedicationValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Medication update validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const medication = await Medication.findOne({ _id: req.params.id, user: req.userId });
+    if (!medication) {
+      logger.warn({ userId: req.userId, medicationId: req.params.id }, 'Medication not found');
+      return res.status(404).json({
+        status: 'error',
+        message: 'Medication not found'
+      });
+    }
+
+    const { timezone } = await getUserPreferences(req.userId);
+    applyMedicationFields(medication, req.body, timezone);
+    await medication.save();
+
+    logger.info({ userId: req.userId, medicationId: medication._id }, 'Medication updated');
+
+    res.json({
+      status: 'success',
+      message: 'Medication updated successfully',
+      data: medication
+    });
+  })
+);
+
+router.delete(
+  '/:id',
+  auth,
+  medicationIdValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Medication delete validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const medication = await Medication.findOneAndDelete({ _id: req.params.id, user: req.userId });
+    if (!medication) {
+      logger.warn({ userId: req.userId, medicationId: req.params.id }, 'Medication not found');
+      return res.status(404).json({
+        status: 'error',
+        message: 'Medication not found'
+      });
+    }
+
+    const { deletedCount } = await MedicationDose.deleteMany({ medication: medication._id });
+
+    logger.info({ userId: req.userId, medicationId: medication._id, doses: deletedCount }, 'Medication deleted');
+
+    res.json({
+      status: 'success',
+      message: 'Medication deleted successfully'
+    });
+  })
+);
+
+/* =========================================================
+   DOSE LOG
+========================================================= */
+router.post(
+  '/:id/doses',
+  auth,
+  logDoseValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Dose validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const medication = await Medication.findOne({ _id: req.params.id, user: req.userId });
+    if (!medication) {
+      logger.warn({ userId: req.userId, medicationId: req.params.id }, 'Medication not found');
+      return res.status(404).json({
+        status: 'error',
+        message: 'Medication not found'
+      });
+    }
+
+    const { status = 'taken', scheduledTime, amount, notes } = req.body;
+
+    if (scheduledTime && medication.schedule.type === 'times' && !medication.schedule.times.includes(scheduledTime)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `scheduledTime must be one of: ${medication.schedule.times.join(', ')}`
+      });
+    }
+
+    const { timezone } = await getUserPreferences(req.userId);
+    const takenAt = req.body.takenAt ? new Date(req.body.takenAt) : undefined;
+    const date = toEntryDay(req.body.date || takenAt || new Date(), timezone);
+
+    if (scheduledTime && await MedicationDose.exists({ medication: medication._id, date, scheduledTime })) {
+      logger.info({ userId: req.userId, medicationId: medication._id, scheduledTime }, 'Dose already logged');
+      return res.status(409).json({
+        status: 'error',
+        message: 'A dose is already logged for this time'
+      });
+    }
+
+    const dose = await MedicationDose.create({
+      user: req.userId,
+      medication: medication._id,
+      date,
+      status,
+      takenAt: status === 'taken' ? takenAt || new Date() : undefined,
+      scheduledTime,
+      amount,
+      notes
+    });
+
+    logger.info({ userId: req.userId, medicationId: medication._id, doseId: dose._id, status }, 'Dose logged');
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Dose logged successfully',
+      data: dose
+    });
+  })
+);
+
+router.get(
+  '/:id/doses',
+  auth,
+  listDosesValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Dose list validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { timezone } = await getUserPreferences(req.userId);
+    const dateRange = toDayRange(req.query.from, req.query.to, timezone);
+
+    const filter = { user: req.userId, medication: req.params.id };
+    if (dateRange) filter.date = dateRange;
+
+    const doses = await MedicationDose.find(filter)
+      .sort({ date: -1, scheduledTime: -1, takenAt: -1 })
+      .lean();
+
+    res.json({
+      status: 'success',
+      count: doses.length,
+      data: doses
+    });
+  })
+);
+
+router.delete(
+  '/:id/doses/:doseId',
+  auth,
+  doseIdValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Dose delete validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const dose = await MedicationDose.findOneAndDelete({
+      _id: req.params.doseId,
+      medication: req.params.id,
+      user: req.userId
+    });
+    if (!dose) {
+      logger.warn({ userId: req.userId, doseId: req.params.doseId }, 'Dose not found');
+      return res.status(404).json({
+        status: 'error',
+        message: 'Dose not found'
+      });
+    }
+
+    logger.info({ userId: req.userId, doseId: dose._id }, 'Dose deleted');
+
+    res.json({
+      status: 'success',
+      message: 'Dose deleted successfully'
+    });
+  })
+);
+
+module.exports = router;
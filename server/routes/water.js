@@ -0,0 +1,183 @@
+/**
+ * ✅ PRODUCTION-GRADE: Water Preset Routes
+ * Named containers ("bottle" = 500 ml) used by POST /entries/today/water
+ */
+
+const express = require('express');
+const { validationResult } = require('express-validator');
+const WaterPreset = require('../models/WaterPreset');
+const auth = require('../middleware/authmiddleware');
+const unitPreference = require('../middleware/unitPreference');
+const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+const { MAX_PRESETS_PER_USER, toMillilitres } = require('../utils/water');
+const { unitsFor, waterVolumeToUnits, waterAmountFromUnits } = require('../utils/units');
+const {
+  createWaterPresetValidator,
+  updateWaterPresetValidator,
+  waterPresetIdValidator
+} = require('../utils/validators');
+
+const router = express.Router();
+
+/**
+ * Copy preset fields from a request body; `amount` is converted from `unit` to ml
+ */
+const applyPresetFields = (preset, body) => {
+  if (body.name !== undefined) preset.name = body.name;
+  if (body.amount !== undefined) preset.volumeMl = toMillilitres(body.amount, body.unit);
+};
+
+/**
+ * Save a preset, answering 409 when the user already has one with that name
+ * Returns false when a response was sent
+ */
+const savePreset = async (preset, req, res) => {
+  try {
+    await preset.save();
+    return true;
+  } catch (err) {
+    // ✅ PRODUCTION: Unique (user, name) index
+    if (err.code === 11000) {
+      logger.info({ userId: req.userId, name: preset.name }, 'Water preset name already in use');
+      res.status(409).json({
+        status: 'error',
+        message: 'A water preset with this name already exists'
+      });
+      return false;
+    }
+    throw err;
+  }
+};
+
+/* =========================================================
+   PRESETS
+========================================================= */
+router.get(
+  '/presets',
+  auth,
+  unitPreference(),
+  asyncHandler(async (req, res) => {
+    const presets = await WaterPreset.find({ user: req.userId }).sort({ volumeMl: 1, name: 1 });
+
+    res.json({
+      status: 'success',
+      count: presets.length,
+      data: presets.map((preset) => waterVolumeToUnits(preset, req.unitSystem)),
+      units: unitsFor(req.unitSystem)
+    });
+  })
+);
+
+router.post(
+  '/presets',
+  auth,
+  unitPreference(waterAmountFromUnits),
+  createWaterPresetValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Water preset validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (await WaterPreset.countDocuments({ user: req.userId }) >= MAX_PRESETS_PER_USER) {
+      return res.status(400).json({
+        status: 'error',
+        message: `At most ${MAX_PRESETS_PER_USER} water presets`
+      });
+    }
+
+    const preset = new WaterPreset({ user: req.userId });
+    applyPresetFields(preset, req.body);
+    if (!await savePreset(preset, req, res)) return;
+
+    logger.info({ userId: req.userId, presetId: preset._id }, 'Water preset created');
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Water preset created successfully',
+      data: waterVolumeToUnits(preset, req.unitSystem),
+      units: unitsFor(req.unitSystem)
+    });
+  })
+);
+
+// Drinks already logged with a preset keep their volume and label
+router.put(
+  '/presets/:id',
+  auth,
+  unitPreference(waterAmountFromUnits),
+  updateWaterPresetValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Water preset update validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const preset = await WaterPreset.findOne({ _id: req.params.id, user: req.userId });
+    if (!preset) {
+      logger.warn({ userId: req.userId, presetId: req.params.id }, 'Water preset not found');
+      return res.status(404).json({
+        status: 'error',
+        message: 'Water preset not found'
+      });
+    }
+
+    applyPresetFields(preset, req.body);
+    if (!await savePreset(preset, req, res)) return;
+
+    logger.info({ userId: req.userId, presetId: preset._id }, 'Water preset updated');
+
+    res.json({
+      status: 'success',
+      message: 'Water preset updated successfully',
+      data: waterVolumeToUnits(preset, req.unitSystem),
+      units: unitsFor(req.unitSystem)
+    });
+  })
+);
+
+router.delete(
+  '/presets/:id',
+  auth,
+  waterPresetIdValidator,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      logger.warn({ userId: req.userId, errors: errors.array() }, 'Water preset delete validation failed');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const preset = await WaterPreset.findOneAndDelete({ _id: req.params.id, user: req.userId });
+    if (!preset) {
+      logger.warn({ userId: req.userId, presetId: req.params.id }, 'Water preset not found');
+      return res.status(404).json({
+        status: 'error',
+        message: 'Water preset not found'
+      });
+    }
+
+    logger.info({ userId: req.userId, presetId: preset._id }, 'Water preset deleted');
+
+    res.json({
+      status: 'success',
+      message: 'Water preset deleted successfully'
+    });
+  })
+);
+
+module.exports = router;
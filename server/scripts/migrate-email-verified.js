@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+
+/**
+ * ✅ One-off migration for email verification
+ * Marks users created before email verification existed as verified, so the
+ * UNVERIFIED_EMAIL_RESTRICTIONS policy only applies to accounts registered since.
+ *
+ * Usage:
+ *   npm run migrate:email-verified
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  const users = mongoose.connection.collection('users');
+
+  // Older accounts may already have `emailVerified: false` (Mongoose writes the default on
+  // their next save), so they are told apart by never having been sent a verification link
+  const result = await users.updateMany(
+    { emailVerified: { $ne: true }, 'emailVerification.tokenHash': { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+
+  logger.info({ migrated: result.modifiedCount }, 'Email verification migration complete');
+  await mongoose.connection.close();
+};
+
+migrate().catch((err) => {
+  logger.error({ error: err.message }, 'Email verification migration failed');
+  process.exit(1);
+});
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * ✅ One-off migration for timezone-aware entry days
+ * Entries saved before per-user timezones are dated at the server's local midnight;
+ * they are moved to midnight UTC of that calendar day (utils/dates.js), which is what
+ * lookups by day now match. The day is read in LEGACY_TIMEZONE (default: this machine's
+ * timezone, i.e. the one the old server ran in).
+ * An entry whose day already has a migrated entry (e.g. one created by logging water
+ * since the upgrade) is left in place and reported, to be merged by hand.
+ *
+ * Usage:
+ *   npm run migrate:entry-dates
+ *   LEGACY_TIMEZONE=Europe/Berlin npm run migrate:entry-dates
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { toEntryDay, isValidTimezone, DAY_MS } = require('../utils/dates');
+
+const BATCH_SIZE = 500;
+
+const migrate = async () => {
+  const timezone = process.env.LEGACY_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  if (!isValidTimezone(timezone)) {
+    throw new Error(`Unknown timezone "${timezone}" in LEGACY_TIMEZONE`);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  const entries = mongoose.connection.collection('entries');
+
+  // Entry days are exact multiples of a day since the epoch; anything else is a legacy date
+  const cursor = entries.find(
+    { $expr: { $ne: [{ $mod: [{ $toLong: '$date' }, DAY_MS] }, 0] } },
+    { projection: { user: 1, date: 1 } }
+  );
+
+  let operations = [];
+  let migrated = 0;
+  const conflicts = [];
+
+  const flush = async () => {
+    if (!operations.length) return;
+    try {
+      const result = await entries.bulkWrite(operations, { ordered: false });
+      migrated += result.modifiedCount;
+    } catch (err) {
+      if (!err.writeErrors) throw err;
+      // Duplicate (user, date): the day already has an entry at its new date
+      const failed = err.writeErrors.filter((writeError) => writeError.code === 11000);
+      if (failed.length !== err.writeErrors.length) throw err;
+      migrated += err.result.modifiedCount;
+      failed.forEach((writeError) => conflicts.push(String(operations[writeError.index].updateOne.filter._id)));
+    }
+    operations = [];
+  };
+
+  for await (const entry of cursor) {
+    operations.push({
+      updateOne: {
+        // Matching the old date skips entries changed since they were read
+        filter: { _id: entry._id, date: entry.date },
+        update: { $set: { date: toEntryDay(entry.date, timezone) } }
+      }
+    });
+
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+
+  await flush();
+
+  if (conflicts.length) {
+    logger.warn({ entryIds: conflicts }, 'Entries left at their legacy date: their day already has an entry');
+  }
+  logger.info({ timezone, migrated, conflicts: conflicts.length }, 'Entry date migration complete');
+  await mongoose.connection.close();
+};
+
+migrate().catch((err) => {
+  logger.error({ error: err.message }, 'Entry date migration failed');
+  process.exit(1);
+});
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * ✅ One-off migration for item-level food logging
+ * - Gives food items stored before they had ids a stable _id
+ * - Marks legacy entries whose calories differ from their food total as overridden,
+ *   so editing a food item doesn't silently replace a hand-entered daily value
+ *
+ * Usage:
+ *   npm run migrate:food-items
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+const BATCH_SIZE = 500;
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  const entries = mongoose.connection.collection('entries');
+
+  const cursor = entries.find(
+    {
+      $or: [
+        { foodIntake: { $elemMatch: { _id: { $exists: false } } } },
+        { caloriesOverride: { $exists: false } }
+      ]
+    },
+    { projection: { calories: 1, caloriesOverride: 1, foodIntake: 1 } }
+  );
+
+  let operations = [];
+  let migrated = 0;
+
+  const flush = async () => {
+    if (!operations.length) return;
+    const result = await entries.bulkWrite(operations, { ordered: false });
+    migrated += result.modifiedCount;
+    operations = [];
+  };
+
+  for await (const entry of cursor) {
+    const foodIntake = (entry.foodIntake || []).map((item) => (
+      item._id ? item : { _id: new mongoose.Types.ObjectId(), ...item }
+    ));
+    const foodTotal = foodIntake.reduce((sum, item) => sum + (item.calories || 0), 0);
+
+    operations.push({
+      updateOne: {
+        // Matching the old array skips entries edited since they were read
+        filter: { _id: entry._id, foodIntake: entry.foodIntake ?? null },
+        update: {
+          $set: {
+            foodIntake,
+            caloriesOverride: entry.caloriesOverride ?? (entry.calories || 0) !== foodTotal
+          }
+        }
+      }
+    });
+
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+
+  await flush();
+
+  logger.info({ migrated }, 'Food item migration complete');
+  await mongoose.connection.close();
+};
+
+migrate().catch((err) => {
+  logger.error({ error: err.message }, 'Food item migration failed');
+  process.exit(1);
+});
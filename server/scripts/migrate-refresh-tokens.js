@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * ✅ One-off migration for hashed refresh tokens
+ * Replaces raw refresh tokens stored on users with their SHA-256 hashes (utils/tokens.js),
+ * so existing logins keep working; expired tokens are dropped on the way.
+ * Migrated sessions have no device metadata until their next refresh.
+ *
+ * Usage:
+ *   npm run migrate:refresh-tokens
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { hashToken } = require('../utils/tokens');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Stored refresh token -> hashed form; null when it has expired
+ */
+const toHashed = ({ token, ...rest }) => {
+  if (rest.expiresAt <= new Date()) return null;
+  return token ? { ...rest, tokenHash: hashToken(token) } : rest;
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  const users = mongoose.connection.collection('users');
+
+  const cursor = users.find(
+    { 'refreshTokens.token': { $exists: true } },
+    { projection: { refreshTokens: 1 } }
+  );
+
+  let operations = [];
+  let migrated = 0;
+
+  const flush = async () => {
+    if (!operations.length) return;
+    const result = await users.bulkWrite(operations, { ordered: false });
+    migrated += result.modifiedCount;
+    operations = [];
+  };
+
+  for await (const user of cursor) {
+    operations.push({
+      updateOne: {
+        // Matching the old array skips users who logged in or refreshed since they were read
+        filter: { _id: user._id, refreshTokens: user.refreshTokens },
+        update: { $set: { refreshTokens: user.refreshTokens.map(toHashed).filter(Boolean) } }
+      }
+    });
+
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+
+  await flush();
+
+  logger.info({ migrated }, 'Refresh token migration complete');
+  await mongoose.connection.close();
+};
+
+migrate().catch((err) => {
+  logger.error({ error: err.message }, 'Refresh token migration failed');
+  process.exit(1);
+});
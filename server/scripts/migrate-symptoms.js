@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+/**
+ * ✅ One-off migration for structured symptoms
+ * Rewrites free-text symptom strings as { name } using the vocabulary in utils/symptoms.js;
+ * terms it doesn't know become `other` with the original text kept in `notes`.
+ * Migrated symptoms have no severity, so symptom correlations skip them.
+ *
+ * Usage:
+ *   npm run migrate:symptoms
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { toSymptom } = require('../utils/symptoms');
+
+const BATCH_SIZE = 500;
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  const entries = mongoose.connection.collection('entries');
+
+  const cursor = entries.find(
+    { symptoms: { $elemMatch: { $type: 'string' } } },
+    { projection: { symptoms: 1 } }
+  );
+
+  let operations = [];
+  let migrated = 0;
+
+  const flush = async () => {
+    if (!operations.length) return;
+    const result = await entries.bulkWrite(operations, { ordered: false });
+    migrated += result.modifiedCount;
+    operations = [];
+  };
+
+  for await (const entry of cursor) {
+    operations.push({
+      updateOne: {
+        // Matching the old array skips entries edited since they were read
+        filter: { _id: entry._id, symptoms: entry.symptoms },
+        update: { $set: { symptoms: entry.symptoms.map(toSymptom) } }
+      }
+    });
+
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+
+  await flush();
+
+  logger.info({ migrated }, 'Symptom migration complete');
+  await mongoose.connection.close();
+};
+
+migrate().catch((err) => {
+  logger.error({ error: err.message }, 'Symptom migration failed');
+  process.exit(1);
+});
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * ✅ Seed the shared food catalog from the bundled offline dataset
+ * - Idempotent: foods are upserted by dataset id, so re-running updates values in place
+ * - Rows that fail the Food schema are skipped and logged
+ *
+ * Usage:
+ *   npm run seed:foods                      # data/foods.json
+ *   npm run seed:foods -- path/to/foods.json  # another dataset in the same format
+ */
+
+require('dotenv').config();
+const path = require('path');
+const mongoose = require('mongoose');
+const Food = require('../models/Food');
+const logger = require('../utils/logger');
+
+const BATCH_SIZE = 500;
+const DEFAULT_DATASET = path.join(__dirname, '..', 'data', 'foods.json');
+
+const seed = async () => {
+  const file = path.resolve(process.argv[2] || DEFAULT_DATASET);
+  const { foods = [] } = require(file);
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  let operations = [];
+  let upserted = 0;
+  let updated = 0;
+  let skipped = 0;
+
+  const flush = async () => {
+    if (!operations.length) return;
+    const result = await Food.bulkWrite(operations, { ordered: false });
+    upserted += result.upsertedCount;
+    updated += result.modifiedCount;
+    operations = [];
+  };
+
+  for (const { id, ...values } of foods) {
+    const food = new Food({ ...values, source: 'dataset', externalId: String(id) });
+
+    // bulkWrite skips document hooks, so validate and derive keywords here
+    const error = food.validateSync();
+    if (!id || error) {
+      skipped += 1;
+      logger.warn({ id, error: error?.message || 'Missing id' }, 'Skipping dataset food');
+      continue;
+    }
+
+    const { _id, createdAt, updatedAt, ...fields } = food.toObject();
+    fields.keywords = [...new Set(Food.toKeywords(`${fields.name} ${fields.brand || ''}`))];
+
+    operations.push({
+      updateOne: {
+        filter: { source: 'dataset', externalId: fields.externalId },
+        update: { $set: fields },
+        upsert: true
+      }
+    });
+
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+
+  await flush();
+
+  logger.info({ file, upserted, updated, skipped }, 'Food catalog seeded');
+  await mongoose.connection.close();
+};
+
+seed().catch((err) => {
+  logger.error({ error: err.message }, 'Food catalog seeding failed');
+  process.exit(1);
+});
@@ -9,17 +9,30 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const logger = require('./utils/logger');
+const { createRevocationStore } = require('./utils/revocationStore');
+const { createMailer } = require('./utils/mailer');
 
 // Routes
 const entriesRoute = require('./routes/entries');
 const authRoute = require('./routes/auth');
 const aiRoute = require('./routes/ai');
+const goalsRoute = require('./routes/goals');
+const achievementsRoute = require('./routes/achievements');
+const foodsRoute = require('./routes/foods');
+const heartRateRoute = require('./routes/heartRate');
+const measurementsRoute = require('./routes/measurements');
+const medicationsRoute = require('./routes/medications');
+const insightsRoute = require('./routes/insights');
+const waterRoute = require('./routes/water');
 
 const app = express();
 
-// ✅ PRODUCTION: Initialize revoked tokens in memory (for single-server deployments)
-// For multi-server setups, use Redis or MongoDB for token revocation list
-app.locals.revokedTokens = new Set();
+// ✅ PRODUCTION: Access token revocation store (TOKEN_REVOCATION_STORE: mongo, redis or memory)
+// Shared by the auth middleware and logout; mongo and redis work across servers and restarts
+app.locals.revocationStore = createRevocationStore();
+
+// ✅ PRODUCTION: Outgoing email (MAIL_TRANSPORT: smtp, file or console)
+app.locals.mailer = createMailer();
 
 // ===== MIDDLEWARE =====
 
@@ -33,8 +46,9 @@ app.use(helmet({
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000', 'http://localhost:3001'],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['X-Unit-System']
 }));
 
 app.use(express.json({
@@ -91,6 +105,14 @@ app.get('/api/health', async (req, res) => {
 app.use('/auth', authRoute);
 app.use('/entries', entriesRoute);
 app.use('/ai', aiRoute);
+app.use('/goals', goalsRoute);
+app.use('/achievements', achievementsRoute);
+app.use('/foods', foodsRoute);
+app.use('/heart-rate', heartRateRoute);
+app.use('/measurements', measurementsRoute);
+app.use('/medications', medicationsRoute);
+app.use('/insights', insightsRoute);
+app.use('/water', waterRoute);
 
 // ===== 404 HANDLER =====
 app.use((req, res) => {
@@ -199,6 +221,8 @@ mongoose
 const gracefulShutdown = async () => {
   try {
     logger.info('Closing HTTP server');
+    await app.locals.revocationStore.close();
+    await app.locals.mailer.close();
     if (mongoose.connection.readyState === 1) {
       await mongoose.connection.close();
       logger.info('MongoDB connection closed');
@@ -0,0 +1,163 @@
+/**
+ * ✅ PRODUCTION-GRADE: Streaks & Achievements Engine
+ * Computes streaks from the Entry collection and awards badges when a streak reaches a milestone
+ */
+
+const Entry = require('../models/Entry');
+const Achievement = require('../models/Achievement');
+const { getUserPreferences } = require('./preferences');
+const { getGoalHistory, goalForDay } = require('./goals');
+const { todayFor, addDays, DAY_MS } = require('./dates');
+
+// Streak types and the rule a day must meet to extend them
+const STREAK_RULES = {
+  logging: () => true,
+  sleep: (entry, goal) => goal?.sleep > 0 && entry.sleep >= goal.sleep,
+  steps: (entry, goal) => goal?.steps > 0 && entry.steps >= goal.steps,
+  workouts: (entry) => Boolean(entry.workouts)
+};
+
+// Badge catalog; a badge is earned once the longest streak of its type reaches `length`
+const BADGES = [
+  { code: 'first-entry', name: 'First Step', description: 'Logged your first day', streak: 'logging', length: 1 },
+  { code: 'logging-7', name: 'Week Warrior', description: 'Logged 7 days in a row', streak: 'logging', length: 7 },
+  { code: 'logging-30', name: 'Habit Builder', description: 'Logged 30 days in a row', streak: 'logging', length: 30 },
+  { code: 'logging-100', name: 'Centurion', description: 'Logged 100 days in a row', streak: 'logging', length: 100 },
+  { code: 'sleep-7', name: 'Well Rested', description: 'Met your sleep goal 7 days in a row', streak: 'sleep', length: 7 },
+  { code: 'sleep-30', name: 'Sleep Champion', description: 'Met your sleep goal 30 days in a row', streak: 'sleep', length: 30 },
+  { code: 'steps-7', name: 'On the Move', description: 'Met your step goal 7 days in a row', streak: 'steps', length: 7 },
+  { code: 'steps-30', name: 'Trailblazer', description: 'Met your step goal 30 days in a row', streak: 'steps', length: 30 },
+  { code: 'workouts-3', name: 'Momentum', description: 'Worked out 3 days in a row', streak: 'workouts', length: 3 },
+  { code: 'workouts-7', name: 'Unstoppable', description: 'Worked out 7 days in a row', streak: 'workouts', length: 7 }
+];
+
+const BADGES_BY_CODE = new Map(BADGES.map((badge) => [badge.code, badge]));
+
+// Streaks are computed over this many recent days, enough to reach the longest badge;
+// the window goes further back, one window at a time, while a current streak runs to its start
+const STREAK_WINDOW_DAYS = Math.max(...BADGES.map((badge) => badge.length));
+
+/**
+ * Current and longest run of consecutive days
+ * A streak is still current if its last day is today or yesterday (today may not be logged yet)
+ *
+ * @param {number[]} days - Qualifying entry days as ms timestamps, ascending
+ * @param {Date} today - Today's entry day
+ */
+const streakOf = (days, today) => {
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+
+  days.forEach((day) => {
+    run = previous !== null && day - previous === DAY_MS ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = day;
+  });
+
+  const alive = previous !== null && today.getTime() - previous <= DAY_MS;
+  return { current: alive ? run : 0, longest };
+};
+
+/**
+ * Compute every streak type for a user
+ * Goal-based streaks use the goal version in force on each day.
+ * `longest` covers the streak window (and the whole current streak), not all history
+ *
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {Date} [options.since] - Also cover days from here (e.g. the first day of an import)
+ */
+const computeStreaks = async (userId, { since } = {}) => {
+  const { timezone } = await getUserPreferences(userId);
+  const today = todayFor(timezone);
+
+  let from = addDays(today, -(STREAK_WINDOW_DAYS - 1));
+  if (since && since < from) from = since;
+
+  const goalHistory = await getGoalHistory(userId, today);
+  let entries = [];
+  let until = today;
+  let streaks;
+
+  for (;;) {
+    const older = await Entry.find({ user: userId, date: { $gte: from, $lte: until } })
+      .sort({ date: 1 })
+      .select('date sleep steps workouts')
+      .lean();
+    entries = [...older, ...entries];
+
+    streaks = {};
+    let reachesStart = false;
+    Object.entries(STREAK_RULES).forEach(([type, rule]) => {
+      const days = entries
+        .filter((entry) => rule(entry, goalForDay(goalHistory, entry.date)))
+        .map((entry) => entry.date.getTime());
+      streaks[type] = streakOf(days, today);
+
+      const { current } = streaks[type];
+      if (current > 0 && days[days.length - current] === from.getTime()) reachesStart = true;
+    });
+
+    if (!reachesStart) return streaks;
+
+    until = addDays(from, -1);
+    from = addDays(from, -STREAK_WINDOW_DAYS);
+  }
+};
+
+/**
+ * Attach badge metadata to stored awards
+ */
+const describeAwards = (awards) => awards.map((award) => ({
+  ...BADGES_BY_CODE.get(award.code),
+  code: award.code,
+  awardedAt: award.awardedAt
+}));
+
+/**
+ * Recompute streaks and award any badge whose milestone has been reached
+ * Pass `since` when days older than the streak window were written, so their streaks count
+ * Returns the streaks and the badges awarded by this call
+ */
+const evaluateAchievements = async (userId, { since } = {}) => {
+  const streaks = await computeStreaks(userId, { since });
+
+  const earned = BADGES.filter((badge) => streaks[badge.streak].longest >= badge.length);
+  if (!earned.length) return { streaks, awarded: [] };
+
+  const now = new Date();
+  const result = await Achievement.bulkWrite(
+    earned.map((badge) => ({
+      updateOne: {
+        filter: { user: userId, code: badge.code },
+        update: { $setOnInsert: { awardedAt: now } },
+        upsert: true
+      }
+    })),
+    { ordered: false }
+  );
+
+  // upsertedIds is keyed by operation index: those are the badges that are new
+  const awarded = Object.keys(result.upsertedIds || {})
+    .map((index) => ({ ...earned[index], awardedAt: now }));
+
+  return { streaks, awarded };
+};
+
+/**
+ * Badges a user has earned, most recent first
+ */
+const getAchievements = async (userId, limit) => {
+  const query = Achievement.find({ user: userId }).sort({ awardedAt: -1 }).lean();
+  if (limit) query.limit(limit);
+
+  return describeAwards(await query);
+};
+
+module.exports = {
+  BADGES,
+  computeStreaks,
+  evaluateAchievements,
+  getAchievements
+};
@@ -0,0 +1,287 @@
+/**
+ * ✅ PRODUCTION-GRADE: Symptom–Lifestyle Correlations
+ * Pearson correlation between daily symptom severity and sleep, calories, water,
+ * workouts and individual foods, with two-sided p-values from the t distribution.
+ * Pure arithmetic over the user's entries — the same data always gives the same result.
+ */
+
+const { addDays, formatEntryDay } = require('./dates');
+const { toSymptom } = require('./symptoms');
+
+// Fewest paired days a coefficient is reported for
+const MIN_PAIRED_DAYS = 7;
+// A food is analysed once it was eaten on at least this many days
+const MIN_FOOD_DAYS = 3;
+const MAX_FOOD_RESULTS = 10;
+
+// Day-level factors; null means "not logged that day" and the day is left out
+const LIFESTYLE_FACTORS = {
+  sleep: { unit: 'hours', value: (entry) => (entry.sleep > 0 ? entry.sleep : null) },
+  calories: { unit: 'kcal', value: (entry) => (entry.calories > 0 ? entry.calories : null) },
+  waterIntake: { unit: 'ml', value: (entry) => (entry.waterIntake > 0 ? entry.waterIntake : null) },
+  // 1 on workout days, 0 otherwise (point-biserial)
+  workouts: { unit: 'workout day', value: (entry) => (entry.workouts ? 1 : 0) }
+};
+
+const round = (value, places = 3) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Pearson correlation coefficient; null when either series is constant or too short
+ */
+const pearson = (xs, ys) => {
+  if (xs.length < 2) return null;
+
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+
+  for (let i = 0; i < xs.length; i += 1) {
+    const dx = xs[i] - meanX;
+    const dy = ys[i] - meanY;
+    covariance += dx * dy;
+    varianceX += dx * dx;
+    varianceY += dy * dy;
+  }
+
+  if (!varianceX || !varianceY) return null;
+  return Math.max(-1, Math.min(1, covariance / Math.sqrt(varianceX * varianceY)));
+};
+
+/**
+ * ln Γ(x), Lanczos approximation
+ */
+const LANCZOS = [
+  76.18009172947146, -86.50532032941677, 24.01409824083091,
+  -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+];
+const logGamma = (x) => {
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  LANCZOS.forEach((coefficient) => {
+    y += 1;
+    series += coefficient / y;
+  });
+  return -tmp + Math.log((2.5066282746310005 * series) / x);
+};
+
+/**
+ * Continued fraction for the incomplete beta function (Numerical Recipes betacf)
+ */
+const betaContinuedFraction = (a, b, x) => {
+  const EPSILON = 3e-14;
+  const TINY = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= 200; m += 1) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPSILON) break;
+  }
+
+  return h;
+};
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ */
+const incompleteBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(a, b, x)) / a
+    : 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+};
+
+/**
+ * Two-sided p-value for a Pearson r over n pairs (t test with n - 2 degrees of freedom)
+ */
+const correlationPValue = (r, n) => {
+  if (r === null || n < 3) return null;
+  if (Math.abs(r) === 1) return 0;
+
+  const df = n - 2;
+  const t = r * Math.sqrt(df / (1 - r * r));
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+};
+
+/**
+ * Conventional label for the size of a coefficient
+ */
+const strengthOf = (r) => {
+  if (r === null) return null;
+  const size = Math.abs(r);
+  if (size < 0.1) return 'negligible';
+  if (size < 0.3) return 'weak';
+  if (size < 0.5) return 'moderate';
+  return 'strong';
+};
+
+/**
+ * r, p-value and labels for paired samples, or just `n` when there are too few pairs
+ */
+const describeCorrelation = (pairs) => {
+  const n = pairs.length;
+  if (n < MIN_PAIRED_DAYS) return { n, r: null, pValue: null, strength: null, direction: null };
+
+  const r = pearson(pairs.map(([x]) => x), pairs.map(([, y]) => y));
+
+  return {
+    n,
+    r: r === null ? null : round(r),
+    pValue: r === null ? null : round(correlationPValue(r, n), 4),
+    strength: strengthOf(r),
+    direction: r === null || r === 0 ? null : (r > 0 ? 'positive' : 'negative')
+  };
+};
+
+/**
+ * Severity of one symptom on an entry: the worst rating that day, 0 when it wasn't logged,
+ * null when it was logged without a rating (the day is left out)
+ */
+const severityOn = (entry, name) => {
+  const matching = (entry.symptoms || []).map(toSymptom).filter((symptom) => symptom.name === name);
+  if (!matching.length) return 0;
+
+  const rated = matching.filter((symptom) => symptom.severity);
+  return rated.length ? Math.max(...rated.map((symptom) => symptom.severity)) : null;
+};
+
+/**
+ * Key for a food item: library foods by id, free text by normalized name
+ */
+const foodKey = (item) => (item.foodRef
+  ? `ref:${item.foodRef}`
+  : `name:${String(item.food || '').trim().toLowerCase()}`);
+
+/**
+ * Correlate each symptom with lifestyle factors and foods
+ * A factor is read `lagDays` before the symptom's day (e.g. lag 1: yesterday's food, today's headache).
+ * Days with an entry but no record of a symptom count as severity 0.
+ *
+ * @param {Object[]} entries - Entries covering [from - lagDays, to]
+ * @param {Object} options
+ * @param {Date} options.from - First symptom day
+ * @param {Date} options.to - Last symptom day
+ * @param {number} [options.lagDays]
+ * @param {string} [options.symptom] - Only analyse this symptom
+ */
+const computeCorrelations = (entries, { from, to, lagDays = 0, symptom }) => {
+  const byDay = new Map(entries.map((entry) => [formatEntryDay(entry.date), entry]));
+
+  // [symptom-day entry, factor-day entry] for every day in the window with both
+  const days = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    const entry = byDay.get(formatEntryDay(day));
+    const factorEntry = byDay.get(formatEntryDay(addDays(day, -lagDays)));
+    if (entry && factorEntry) days.push([entry, factorEntry]);
+  }
+
+  const names = symptom ? [symptom] : [...new Set(days.flatMap(([entry]) => (entry.symptoms || [])
+    .map(toSymptom)
+    .filter((s) => s.severity)
+    .map((s) => s.name)))].sort();
+
+  const symptoms = names.map((name) => {
+    const rated = days
+      .map(([entry, factorEntry]) => [severityOn(entry, name), factorEntry])
+      .filter(([severity]) => severity !== null);
+    const severities = rated.map(([severity]) => severity).filter((severity) => severity > 0);
+
+    const lifestyle = Object.entries(LIFESTYLE_FACTORS).map(([factor, { unit, value }]) => ({
+      factor,
+      unit,
+      ...describeCorrelation(rated
+        .map(([severity, factorEntry]) => [value(factorEntry), severity])
+        .filter(([x]) => x !== null))
+    }));
+
+    // Foods only on days that logged any food
+    const foodDays = rated.filter(([, factorEntry]) => factorEntry.foodIntake?.length);
+    const foods = new Map();
+    foodDays.forEach(([, factorEntry]) => {
+      factorEntry.foodIntake.forEach((item) => {
+        const key = foodKey(item);
+        if (!foods.has(key)) foods.set(key, String(item.food).trim());
+      });
+    });
+
+    const foodResults = [...foods.entries()]
+      .map(([key, label]) => {
+        const pairs = foodDays.map(([severity, factorEntry]) => [
+          factorEntry.foodIntake.some((item) => foodKey(item) === key) ? 1 : 0,
+          severity
+        ]);
+        const withFood = pairs.filter(([eaten]) => eaten).map(([, severity]) => severity);
+        const withoutFood = pairs.filter(([eaten]) => !eaten).map(([, severity]) => severity);
+
+        return {
+          food: label,
+          daysEaten: withFood.length,
+          avgSeverityWith: withFood.length ? round(mean(withFood), 1) : null,
+          avgSeverityWithout: withoutFood.length ? round(mean(withoutFood), 1) : null,
+          ...describeCorrelation(pairs)
+        };
+      })
+      .filter((result) => result.daysEaten >= MIN_FOOD_DAYS && result.r !== null)
+      .sort((a, b) => Math.abs(b.r) - Math.abs(a.r) || a.food.localeCompare(b.food))
+      .slice(0, MAX_FOOD_RESULTS);
+
+    return {
+      symptom: name,
+      daysAnalysed: rated.length,
+      daysWithSymptom: severities.length,
+      avgSeverity: severities.length ? round(mean(severities), 1) : null,
+      lifestyle,
+      foods: foodResults
+    };
+  });
+
+  return {
+    from: formatEntryDay(from),
+    to: formatEntryDay(to),
+    lagDays,
+    method: 'pearson',
+    minPairedDays: MIN_PAIRED_DAYS,
+    symptoms
+  };
+};
+
+module.exports = {
+  MIN_PAIRED_DAYS,
+  LIFESTYLE_FACTORS,
+  pearson,
+  correlationPValue,
+  computeCorrelations
+};
@@ -0,0 +1,90 @@
+/**
+ * ✅ PRODUCTION-GRADE: Minimal RFC 4180 CSV Parser
+ * Handles quoted fields, escaped quotes ("") and embedded commas/newlines
+ */
+
+/**
+ * Parse CSV text into an array of records (arrays of strings)
+ * Blank lines are dropped
+ */
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, ''); // Strip UTF-8 BOM
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+
+  const endRecord = () => {
+    endField();
+    if (record.length > 1 || record[0] !== '') records.push(record);
+    record = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+
+  if (field !== '' || record.length > 0) endRecord();
+
+  return records;
+};
+
+// Text a spreadsheet would run as a formula when the file is opened (CSV injection)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Prefix formula-like text with ' so spreadsheets show it as text
+ */
+const escapeFormula = (text) => (FORMULA_START.test(text) ? `'${text}` : text);
+
+/**
+ * Undo escapeFormula on a cell read back from an exported file
+ */
+const unescapeFormula = (text) => (text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text);
+
+/**
+ * Serialize one record as a CSV line (with trailing CRLF)
+ * Formula-like strings are escaped; fields containing commas, quotes or newlines are quoted
+ */
+const toCsvLine = (values) => values
+  .map((value) => {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'string' ? escapeFormula(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  })
+  .join(',') + '\r\n';
+
+module.exports = {
+  parseCsv,
+  toCsvLine,
+  unescapeFormula
+};
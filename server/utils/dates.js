@@ -0,0 +1,124 @@
+/**
+ * ✅ PRODUCTION-GRADE: Timezone-aware Day Helpers
+ * An entry's `date` is the user's calendar day, stored as midnight UTC of that day
+ * (e.g. "2024-01-16" in any timezone -> 2024-01-16T00:00:00.000Z).
+ * Timestamps are first converted to the calendar day they fall on in the user's timezone.
+ */
+
+const DEFAULT_TIMEZONE = 'UTC';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatters = new Map();
+
+/**
+ * Cached Intl formatter that splits an instant into wall-clock parts for a timezone
+ */
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+/**
+ * Check that a string is an IANA timezone known to this runtime
+ */
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ */
+const getLocalParts = (instant, timezone = DEFAULT_TIMEZONE) => {
+  const parts = {};
+  getFormatter(timezone)
+    .formatToParts(new Date(instant))
+    .forEach(({ type, value }) => {
+      if (type !== 'literal') parts[type] = parseInt(value, 10);
+    });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+};
+
+/**
+ * Convert a date-only string, ISO timestamp or Date into the entry day it belongs to
+ * Date-only strings are taken literally; instants are bucketed in the user's timezone
+ */
+const toEntryDay = (value, timezone = DEFAULT_TIMEZONE) => {
+  if (typeof value === 'string' && DATE_ONLY.test(value)) {
+    return new Date(`${value}T00:00:00.000Z`);
+  }
+
+  const { year, month, day } = getLocalParts(value, timezone);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+/**
+ * Today's entry day in a timezone
+ */
+const todayFor = (timezone = DEFAULT_TIMEZONE) => toEntryDay(new Date(), timezone);
+
+/**
+ * Shift an entry day by whole days
+ */
+const addDays = (day, days) => new Date(day.getTime() + days * DAY_MS);
+
+/**
+ * Monday of the week an entry day falls in
+ */
+const startOfWeek = (day) => addDays(day, -((day.getUTCDay() + 6) % 7));
+
+/**
+ * Mongo condition on `date` for an inclusive from/to range of days
+ * Returns undefined when neither bound is given
+ */
+const toDayRange = (from, to, timezone = DEFAULT_TIMEZONE) => {
+  if (!from && !to) return undefined;
+
+  const range = {};
+  if (from) range.$gte = toEntryDay(from, timezone);
+  if (to) range.$lte = toEntryDay(to, timezone);
+  return range;
+};
+
+/**
+ * Format an entry day as YYYY-MM-DD
+ */
+const formatEntryDay = (day) => day.toISOString().slice(0, 10);
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DAY_MS,
+  isValidTimezone,
+  getLocalParts,
+  toEntryDay,
+  todayFor,
+  addDays,
+  startOfWeek,
+  toDayRange,
+  formatEntryDay
+};
@@ -0,0 +1,56 @@
+/**
+ * ✅ PRODUCTION-GRADE: Account Emails
+ * Subject and plain-text body of each email the API sends; links point at the frontend (APP_URL)
+ */
+
+const DEFAULT_APP_URL = 'http://localhost:3000';
+
+/**
+ * Frontend URL for a path, with query parameters
+ */
+const appLink = (pathname, params) => {
+  const url = new URL(pathname, process.env.APP_URL || DEFAULT_APP_URL);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+/**
+ * Password reset link, valid for `expiresInMinutes`
+ */
+const passwordResetEmail = ({ name, token, expiresInMinutes }) => ({
+  subject: 'Reset your HealthTracker password',
+  text: [
+    `Hi ${name},`,
+    '',
+    'Someone asked to reset the password of your HealthTracker account. If it was you, open this link to choose a new one:',
+    '',
+    appLink('/reset-password', { token }),
+    '',
+    `The link works once and expires in ${expiresInMinutes} minutes. Resetting your password signs you out on all devices.`,
+    '',
+    "If you didn't ask for this, you can ignore this email; your password stays the same."
+  ].join('\n')
+});
+
+/**
+ * Email address verification link, valid for `expiresInHours`
+ */
+const verificationEmail = ({ name, token, expiresInHours }) => ({
+  subject: 'Verify your HealthTracker email address',
+  text: [
+    `Hi ${name},`,
+    '',
+    'Welcome to HealthTracker! Open this link to confirm your email address:',
+    '',
+    appLink('/verify-email', { token }),
+    '',
+    `The link expires in ${expiresInHours} hours; you can ask for a new one from the app.`,
+    '',
+    "If you didn't create an account, you can ignore this email."
+  ].join('\n')
+});
+
+module.exports = {
+  passwordResetEmail,
+  verificationEmail
+};
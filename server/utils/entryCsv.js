@@ -0,0 +1,119 @@
+/**
+ * ✅ PRODUCTION-GRADE: Entry <-> CSV Mapping
+ * One CSV row per food item; day-level columns repeat on every row of the same date.
+ * A day without food items is a single row with the food columns left empty.
+ */
+
+const { formatEntryDay } = require('./dates');
+const { toSymptom } = require('./symptoms');
+const { unescapeFormula } = require('./csv');
+
+const ENTRY_CSV_COLUMNS = [
+  'date',
+  'calories',
+  'sleep',
+  'workouts',
+  'heartRate',
+  'steps',
+  'waterIntake',
+  'mood',
+  'symptoms',
+  'meal',
+  'food',
+  'foodCalories'
+];
+
+// Columns copied straight onto the entry
+const DAY_COLUMNS = ['calories', 'sleep', 'workouts', 'heartRate', 'steps', 'waterIntake', 'mood'];
+
+// Symptoms share one cell, separated by semicolons, each "name" or "name:severity"
+const SYMPTOM_SEPARATOR = ';';
+const SEVERITY_SEPARATOR = ':';
+
+const parseSymptom = (text) => {
+  const [name, severity] = text.split(SEVERITY_SEPARATOR).map((part) => part.trim());
+  return severity ? { name, severity } : { name };
+};
+
+const formatSymptom = (symptom) => (symptom.severity
+  ? `${symptom.name}${SEVERITY_SEPARATOR}${symptom.severity}`
+  : symptom.name);
+
+/**
+ * Turn parsed CSV records (header first) into entry-shaped objects, one per row
+ * Empty cells are left out so they count as "not provided"
+ *
+ * @returns {Array<{ row: number, data: Object }>} row is the 1-based record number (header = 1)
+ */
+const csvRecordsToEntries = (records) => {
+  if (!records.length) return [];
+
+  const header = records[0].map((name) => name.trim());
+  if (!header.includes('date')) {
+    throw new Error('CSV header must include a "date" column');
+  }
+
+  return records.slice(1).map((values, index) => {
+    const cells = {};
+    header.forEach((name, i) => {
+      // Text cells of an export come back with the formula escape removed
+      const value = unescapeFormula((values[i] || '').trim());
+      if (value !== '' && ENTRY_CSV_COLUMNS.includes(name)) cells[name] = value;
+    });
+
+    const data = { date: cells.date };
+
+    DAY_COLUMNS.forEach((column) => {
+      if (cells[column] !== undefined) data[column] = cells[column];
+    });
+
+    if (cells.symptoms !== undefined) {
+      data.symptoms = cells.symptoms
+        .split(SYMPTOM_SEPARATOR)
+        .map((symptom) => symptom.trim())
+        .filter(Boolean)
+        .map(parseSymptom);
+    }
+
+    if (cells.meal !== undefined || cells.food !== undefined || cells.foodCalories !== undefined) {
+      data.foodIntake = [{
+        meal: cells.meal,
+        food: cells.food,
+        calories: cells.foodCalories
+      }];
+    }
+
+    return { row: index + 2, data };
+  });
+};
+
+/**
+ * Flatten an entry into CSV records in ENTRY_CSV_COLUMNS order, one per food item
+ */
+const entryToCsvRecords = (entry) => {
+  const day = {
+    date: formatEntryDay(entry.date),
+    calories: entry.calories,
+    sleep: entry.sleep,
+    workouts: entry.workouts,
+    heartRate: entry.heartRate,
+    steps: entry.steps,
+    waterIntake: entry.waterIntake,
+    mood: entry.mood,
+    symptoms: (entry.symptoms || []).map(toSymptom).map(formatSymptom).join(SYMPTOM_SEPARATOR)
+  };
+
+  const foods = entry.foodIntake?.length ? entry.foodIntake : [{}];
+
+  return foods.map((item) => {
+    const row = { ...day, meal: item.meal, food: item.food, foodCalories: item.calories };
+    return ENTRY_CSV_COLUMNS.map((column) => row[column]);
+  });
+};
+
+module.exports = {
+  ENTRY_CSV_COLUMNS,
+  SYMPTOM_SEPARATOR,
+  csvRecordsToEntries,
+  entryToCsvRecords
+};
@@ -0,0 +1,108 @@
+/**
+ * ✅ PRODUCTION-GRADE: Writable Entry Fields
+ * Single list of the body fields a client may write on an entry (everything except user/date)
+ */
+
+const { NUTRIENT_FIELDS } = require('./nutrition');
+
+const ENTRY_FIELDS = [
+  'calories',
+  'caloriesOverride',
+  'sleep',
+  'workouts',
+  'workoutSessions',
+  'foodIntake',
+  'heartRate',
+  'steps',
+  'symptoms',
+  'mood',
+  'waterIntake'
+];
+
+// Fields a client may write on a single food item
+const FOOD_ITEM_FIELDS = [
+  'meal',
+  'food',
+  'calories',
+  ...NUTRIENT_FIELDS,
+  'servingSize',
+  'servingUnit',
+  'quantity'
+];
+
+// Fields a client may write on a single workout session
+const WORKOUT_SESSION_FIELDS = [
+  'activity',
+  'durationMinutes',
+  'intensity',
+  'distanceKm',
+  'heartRateZone',
+  'caloriesBurned'
+];
+
+/**
+ * Copy the writable entry fields that are present on an object
+ */
+const pickEntryFields = (source = {}) => {
+  const fields = {};
+  ENTRY_FIELDS.forEach((field) => {
+    if (source[field] !== undefined) fields[field] = source[field];
+  });
+  return fields;
+};
+
+/**
+ * Copy the writable food item fields that are present on an object
+ * null is kept so a PATCH can clear an optional value
+ */
+const pickFoodItemFields = (source = {}) => {
+  const fields = {};
+  FOOD_ITEM_FIELDS.forEach((field) => {
+    if (source[field] !== undefined) fields[field] = source[field];
+  });
+  return fields;
+};
+
+/**
+ * Copy the writable workout session fields that are present on an object
+ */
+const pickWorkoutSessionFields = (source = {}) => {
+  const fields = {};
+  WORKOUT_SESSION_FIELDS.forEach((field) => {
+    if (source[field] !== undefined) fields[field] = source[field];
+  });
+  return fields;
+};
+
+/**
+ * Decide how daily calories are set by a write
+ * An explicit `calories` value is an override of the food total;
+ * `caloriesOverride: false` hands control back to the food items (and ignores `calories`)
+ */
+const resolveCaloriesOverride = (fields) => {
+  const resolved = { ...fields };
+
+  if (resolved.caloriesOverride === false) {
+    delete resolved.calories;
+  } else if (resolved.calories !== undefined) {
+    resolved.caloriesOverride = true;
+  }
+
+  return resolved;
+};
+
+/**
+ * Whether a write can change the derived calorie total
+ */
+const affectsCalorieTotal = (fields) => fields.foodIntake !== undefined || fields.caloriesOverride === false;
+
+module.exports = {
+  ENTRY_FIELDS,
+  FOOD_ITEM_FIELDS,
+  WORKOUT_SESSION_FIELDS,
+  pickEntryFields,
+  pickFoodItemFields,
+  pickWorkoutSessionFields,
+  resolveCaloriesOverride,
+  affectsCalorieTotal
+};
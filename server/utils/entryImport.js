@@ -0,0 +1,253 @@
+/**
+ * ✅ PRODUCTION-GRADE: Bulk Entry Import
+ * Validates rows with the same rules as POST /entries (createEntryValidator + Entry schema),
+ * groups them by day and applies them with a conflict strategy for existing (user, date) entries
+ */
+
+const { validationResult } = require('express-validator');
+const Entry = require('../models/Entry');
+const { createEntryValidator } = require('./validators');
+const { toEntryDay, formatEntryDay } = require('./dates');
+const { ENTRY_FIELDS, pickEntryFields, resolveCaloriesOverride } = require('./entryFields');
+const { resolveWorkoutSessions } = require('./workouts');
+const { resolveMood } = require('./mood');
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Day values derived from item lists that imports don't carry; on a day with those items the
+// stored value is kept, so an imported total (e.g. from an export) can't contradict them
+const DERIVED_FIELDS = {
+  waterIntake: 'waterEvents',
+  sleep: 'sleepSessions',
+  mood: 'moodCheckIns'
+};
+
+const foodTotal = (foodIntake) => foodIntake.reduce((sum, item) => sum + (item.calories || 0), 0);
+
+/**
+ * Run the createEntryValidator chains against one row
+ * Returns the sanitized row and a list of error messages
+ */
+const validateRow = async (data) => {
+  const req = { body: { ...data } };
+
+  for (const chain of createEntryValidator) {
+    await chain.run(req);
+  }
+
+  const errors = validationResult(req).array().map((err) => `${err.path}: ${err.msg}`);
+  return { data: req.body, errors };
+};
+
+/**
+ * Fold a row into its day group
+ * Day-level values must agree across rows; food items and workout sessions are appended
+ */
+const mergeIntoGroup = (group, fields) => {
+  const conflicts = [];
+
+  Object.entries(fields).forEach(([field, value]) => {
+    if (field === 'foodIntake' || field === 'workoutSessions') {
+      group.fields[field] = [...(group.fields[field] || []), ...value];
+    } else if (group.fields[field] === undefined) {
+      group.fields[field] = value;
+    } else if (JSON.stringify(group.fields[field]) !== JSON.stringify(value)) {
+      conflicts.push(`${field}: conflicts with an earlier row for the same date`);
+    }
+  });
+
+  return conflicts;
+};
+
+/**
+ * Build the bulkWrite operation for a new or overwritten day
+ * `kept` lists the DERIVED_FIELDS the day's items own; they are left alone
+ */
+const buildWriteOp = (userId, group, exists, kept) => {
+  const filter = { user: userId, date: group.date };
+  const update = { $set: group.fields };
+
+  if (exists) {
+    // Fields not in the import fall back to schema defaults
+    const unset = {};
+    ENTRY_FIELDS.forEach((field) => {
+      if (group.fields[field] === undefined) unset[field] = 1;
+    });
+    kept.forEach((field) => { delete unset[field]; });
+    // Burned calories are derived from the sessions and go with them
+    if (unset.workoutSessions) unset.caloriesBurned = 1;
+    if (unset.mood) unset.moodScore = 1;
+    if (Object.keys(unset).length) update.$unset = unset;
+  }
+
+  return { updateOne: { filter, update, upsert: true } };
+};
+
+/**
+ * Apply a day's imported fields to its existing entry
+ * Food items and workout sessions are appended; other fields replace the stored value.
+ * Calories and burned calories are left to the save hooks, which total the combined items
+ */
+const mergeIntoEntry = (entry, fields) => {
+  Object.entries(fields).forEach(([field, value]) => {
+    if (field === 'foodIntake' || field === 'workoutSessions') {
+      entry[field].push(...value);
+    } else {
+      entry.set(field, value);
+    }
+  });
+};
+
+/**
+ * Import entries for a user
+ *
+ * @param {string} userId
+ * @param {Array<{ row: number, data: Object }>} rows - Entry-shaped rows from CSV or JSON
+ * @param {Object} options
+ * @param {string} options.timezone - User timezone for bucketing timestamps into days
+ * @param {'skip'|'overwrite'|'merge'} options.onConflict - What to do when the day already has an entry
+ * @param {boolean} options.dryRun - Validate and report without writing
+ */
+const importEntries = async (userId, rows, { timezone, onConflict = 'skip', dryRun = false }) => {
+  const report = rows.map(({ row }) => ({ row, date: undefined, status: 'rejected', errors: [] }));
+  const groups = new Map();
+
+  // 1. Request-level rules, then group by normalized day
+  for (let i = 0; i < rows.length; i++) {
+    const { data, errors } = await validateRow(rows[i].data);
+    if (errors.length) {
+      report[i].errors = errors;
+      continue;
+    }
+
+    const date = toEntryDay(data.date, timezone);
+    const key = formatEntryDay(date);
+    report[i].date = key;
+
+    if (!groups.has(key)) groups.set(key, { date, fields: {}, indexes: [] });
+    const group = groups.get(key);
+
+    const conflicts = mergeIntoGroup(group, pickEntryFields(data));
+    if (conflicts.length) {
+      report[i].errors = conflicts;
+      continue;
+    }
+
+    group.indexes.push(i);
+  }
+
+  // 2. Schema rules on each assembled day (only the fields the import provides)
+  groups.forEach((group, key) => {
+    const doc = new Entry({ user: userId, date: group.date, ...group.fields });
+    const error = doc.validateSync(['date', ...Object.keys(group.fields)]);
+    if (error) {
+      const messages = Object.values(error.errors).map((err) => `${err.path}: ${err.message}`);
+      group.indexes.forEach((i) => { report[i].errors = messages; });
+      groups.delete(key);
+      return;
+    }
+
+    // Write schema-cast values (CSV cells arrive as strings)
+    const cast = doc.toObject();
+    Object.keys(group.fields).forEach((field) => { group.fields[field] = cast[field]; });
+
+    // An export's day total is the food total; re-importing it isn't a manual override
+    if (group.fields.foodIntake && group.fields.caloriesOverride === undefined
+      && group.fields.calories === foodTotal(group.fields.foodIntake)) {
+      delete group.fields.calories;
+    }
+
+    group.fields = resolveCaloriesOverride(group.fields);
+    // Merged days take the fields as sent; their entry derives the totals when saved
+    group.provided = resolveMood(group.fields);
+
+    // Days imported with food but no explicit calories get the food total
+    if (group.fields.foodIntake && !group.fields.caloriesOverride) {
+      group.fields.calories = foodTotal(group.fields.foodIntake);
+      group.fields.caloriesOverride = false;
+    }
+
+    group.fields = resolveMood(resolveWorkoutSessions(group.fields));
+  });
+
+  // 3. Decide what happens to each valid day
+  // Merged days are read, changed and saved whole so the entry's save hooks run
+  const existingQuery = Entry.find({
+    user: userId,
+    date: { $in: [...groups.values()].map((group) => group.date) }
+  });
+  if (onConflict !== 'merge') {
+    existingQuery.select(['date', ...Object.values(DERIVED_FIELDS).map((list) => `${list}._id`)]).lean();
+  }
+  const existing = await existingQuery;
+  const existingDays = new Map(existing.map((entry) => [formatEntryDay(entry.date), entry]));
+
+  const operations = [];
+  const merges = [];
+  groups.forEach((group, key) => {
+    const entry = existingDays.get(key);
+    let status = 'created';
+    if (entry) {
+      status = { skip: 'skipped', overwrite: 'overwritten', merge: 'merged' }[onConflict];
+    }
+
+    if (status !== 'skipped') {
+      const kept = Object.keys(DERIVED_FIELDS).filter((field) => entry?.[DERIVED_FIELDS[field]]?.length > 0);
+      kept.forEach((field) => {
+        delete group.fields[field];
+        delete group.provided[field];
+      });
+      if (kept.includes('mood')) {
+        delete group.fields.moodScore;
+        delete group.provided.moodScore;
+      }
+
+      if (status === 'merged') {
+        // A merged day with workout sessions keeps `workouts` in step with them
+        if (entry.workoutSessions.length || group.provided.workoutSessions?.length) {
+          delete group.provided.workouts;
+        }
+        mergeIntoEntry(entry, group.provided);
+        const error = entry.validateSync();
+        if (error) {
+          const messages = Object.values(error.errors).map((err) => `${err.path}: ${err.message}`);
+          group.indexes.forEach((i) => { report[i].errors = messages; });
+          groups.delete(key);
+          return;
+        }
+        merges.push(entry);
+      } else {
+        operations.push(buildWriteOp(userId, group, Boolean(entry), kept));
+      }
+    }
+
+    group.indexes.forEach((i) => { report[i].status = status; });
+  });
+
+  // 4. Apply
+  if (!dryRun) {
+    if (operations.length) {
+      await Entry.bulkWrite(operations, { ordered: false });
+    }
+    for (const entry of merges) {
+      await entry.save();
+    }
+  }
+
+  const summary = { rows: report.length, days: groups.size };
+  ['created', 'merged', 'overwritten', 'skipped', 'rejected'].forEach((status) => {
+    summary[status] = report.filter((item) => item.status === status).length;
+  });
+
+  return {
+    dryRun,
+    onConflict,
+    summary,
+    rows: report.map(({ errors, ...item }) => (errors.length ? { ...item, errors } : item))
+  };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  importEntries
+};
@@ -0,0 +1,176 @@
+/**
+ * ✅ PRODUCTION-GRADE: Food Library
+ * Autocomplete search over the shared catalog and a user's own foods,
+ * favorites / recent foods, and turning a library food into an entry food item
+ */
+
+const Food = require('../models/Food');
+const UserFood = require('../models/UserFood');
+const { NUTRIENT_FIELDS } = require('./nutrition');
+
+// Matches fetched from MongoDB before ranking; the response is cut to the requested limit
+const SEARCH_CANDIDATES = 100;
+
+/**
+ * Filter for the foods a user can see: the catalog plus their own custom foods
+ */
+const visibleTo = (userId) => ({ owner: { $in: [null, userId] } });
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Attach the user's favorite flag and use count to library foods
+ */
+const withUserState = async (userId, foods) => {
+  const states = await UserFood.find({
+    user: userId,
+    food: { $in: foods.map((food) => food._id) }
+  }).lean();
+
+  const byFood = new Map(states.map((state) => [String(state.food), state]));
+
+  return foods.map((food) => {
+    const state = byFood.get(String(food._id));
+    return {
+      ...food,
+      favorite: Boolean(state?.favorite),
+      useCount: state?.useCount || 0,
+      lastUsedAt: state?.lastUsedAt || null
+    };
+  });
+};
+
+/**
+ * Autocomplete search: every word of the query must prefix a word of the food's name or brand
+ * Ranked favorites first, then most used, then the user's own foods, then shorter names
+ */
+const searchFoods = async (userId, q, limit) => {
+  const words = Food.toKeywords(q);
+  if (!words.length) return [];
+
+  // Keywords are [a-z0-9] only, so they are safe to use in a regex as-is
+  const candidates = await Food.find({
+    ...visibleTo(userId),
+    $and: words.map((word) => ({ keywords: { $regex: `^${word}` } }))
+  })
+    .select('-keywords')
+    .limit(SEARCH_CANDIDATES)
+    .lean();
+
+  const foods = await withUserState(userId, candidates);
+
+  foods.sort((a, b) => (
+    Number(b.favorite) - Number(a.favorite)
+    || b.useCount - a.useCount
+    || Number(Boolean(b.owner)) - Number(Boolean(a.owner))
+    || a.name.length - b.name.length
+    || a.name.localeCompare(b.name)
+  ));
+
+  return foods.slice(0, limit);
+};
+
+/**
+ * Library food visible to the user, or null
+ */
+const findVisibleFood = (userId, foodId) => Food.findOne({ _id: foodId, ...visibleTo(userId) })
+  .select('-keywords')
+  .lean();
+
+/**
+ * Entry food item for `quantity` servings of a library food
+ */
+const foodItemFromFood = (food, { meal, quantity = 1 }) => {
+  const item = {
+    meal,
+    food: (food.brand ? `${food.name} (${food.brand})` : food.name).slice(0, 200),
+    calories: Math.round(food.calories * quantity),
+    servingSize: food.servingSize,
+    servingUnit: food.servingUnit,
+    quantity,
+    foodRef: food._id
+  };
+
+  NUTRIENT_FIELDS.forEach((field) => {
+    if (typeof food[field] === 'number') item[field] = round(food[field] * quantity);
+  });
+
+  return item;
+};
+
+/**
+ * Count a use of a library food for the recent list
+ */
+const recordFoodUse = (userId, foodId) => UserFood.updateOne(
+  { user: userId, food: foodId },
+  { $inc: { useCount: 1 }, $set: { lastUsedAt: new Date() } },
+  { upsert: true }
+);
+
+/**
+ * Mark or unmark a library food as a favorite
+ */
+const setFavorite = (userId, foodId, favorite) => UserFood.updateOne(
+  { user: userId, food: foodId },
+  { $set: { favorite } },
+  { upsert: true }
+);
+
+/**
+ * Library foods from the user's food records, with their state attached
+ * Records whose food was deleted are skipped
+ */
+const foodsFromRecords = async (userId, records) => {
+  const foods = await Food.find({
+    _id: { $in: records.map((record) => record.food) },
+    ...visibleTo(userId)
+  })
+    .select('-keywords')
+    .lean();
+
+  const byId = new Map(foods.map((food) => [String(food._id), food]));
+
+  return records
+    .filter((record) => byId.has(String(record.food)))
+    .map((record) => ({
+      ...byId.get(String(record.food)),
+      favorite: record.favorite,
+      useCount: record.useCount,
+      lastUsedAt: record.lastUsedAt || null
+    }));
+};
+
+/**
+ * Most recently logged library foods
+ */
+const getRecentFoods = async (userId, limit) => {
+  const records = await UserFood.find({ user: userId, lastUsedAt: { $ne: null } })
+    .sort({ lastUsedAt: -1 })
+    .limit(limit)
+    .lean();
+
+  return foodsFromRecords(userId, records);
+};
+
+/**
+ * Favorite library foods, most used first
+ */
+const getFavoriteFoods = async (userId) => {
+  const records = await UserFood.find({ user: userId, favorite: true })
+    .sort({ useCount: -1 })
+    .lean();
+
+  return foodsFromRecords(userId, records);
+};
+
+module.exports = {
+  visibleTo,
+  searchFoods,
+  findVisibleFood,
+  foodItemFromFood,
+  recordFoodUse,
+  setFavorite,
+  getRecentFoods,
+  getFavoriteFoods,
+  withUserState
+};
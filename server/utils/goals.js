@@ -0,0 +1,125 @@
+/**
+ * ✅ PRODUCTION-GRADE: Goal Lookup & Progress
+ * Resolves which goal version applies to a day and turns metric values into percent-of-target
+ */
+
+const Goal = require('../models/Goal');
+const { DAY_MS } = require('./dates');
+
+// Targets a client may set on a goal version
+const GOAL_FIELDS = ['calories', 'sleep', 'steps', 'waterIntake', 'workoutDays'];
+
+/**
+ * Goal versions for a user in ascending effectiveFrom order
+ * Only versions starting on or before `until` are loaded when given
+ */
+const getGoalHistory = async (userId, until) => {
+  const filter = { user: userId };
+  if (until) filter.effectiveFrom = { $lte: until };
+
+  return Goal.find(filter).sort({ effectiveFrom: 1 }).lean();
+};
+
+/**
+ * Version in force on a day (latest effectiveFrom <= day), or null
+ */
+const goalForDay = (history, day) => {
+  let match = null;
+  for (const goal of history) {
+    if (goal.effectiveFrom > day) break;
+    match = goal;
+  }
+  return match;
+};
+
+const hasValue = (value) => value !== undefined && value !== null;
+
+const percentOf = (value, target) => (target > 0 ? Math.round((value / target) * 100) : null);
+
+/**
+ * Percent-of-target for each metric the goal sets a target for
+ *
+ * @param {Object} values - { calories, sleep, steps, waterIntake, workoutDays }
+ * @param {Object|null} goal - Goal version (see goalForDay)
+ * @param {number} [periodDays=7] - Length of the period `workoutDays` was counted over;
+ *   the weekly workout target is prorated to it
+ */
+const computeProgress = (values, goal, periodDays = 7) => {
+  if (!goal) return null;
+
+  const progress = {};
+
+  const { min, max } = goal.calories || {};
+  if ((hasValue(min) || hasValue(max)) && hasValue(values.calories)) {
+    const value = values.calories;
+    progress.calories = {
+      value,
+      target: { min: min ?? null, max: max ?? null },
+      percent: percentOf(value, hasValue(max) ? max : min),
+      met: (!hasValue(min) || value >= min) && (!hasValue(max) || value <= max)
+    };
+  }
+
+  ['sleep', 'steps', 'waterIntake'].forEach((metric) => {
+    if (!hasValue(goal[metric]) || !hasValue(values[metric])) return;
+    const value = values[metric];
+    progress[metric] = {
+      value,
+      target: goal[metric],
+      percent: percentOf(value, goal[metric]),
+      met: value >= goal[metric]
+    };
+  });
+
+  if (hasValue(goal.workoutDays) && hasValue(values.workoutDays)) {
+    const target = Math.round(((goal.workoutDays * periodDays) / 7) * 10) / 10;
+    progress.workouts = {
+      value: values.workoutDays,
+      target,
+      percent: percentOf(values.workoutDays, target),
+      met: values.workoutDays >= target
+    };
+  }
+
+  return progress;
+};
+
+/**
+ * Number of days in a stats bucket starting on `period`
+ */
+const periodLength = (period, granularity) => {
+  if (granularity === 'week') return 7;
+  if (granularity === 'month') {
+    const start = new Date(period);
+    const next = Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1);
+    return Math.round((next - start.getTime()) / DAY_MS);
+  }
+  return 1;
+};
+
+/**
+ * Add `goals` progress to every stats bucket, using the version in force on the bucket's first day
+ * Bucket averages are compared against daily targets
+ */
+const attachGoalProgress = (stats, history) => {
+  stats.buckets.forEach((bucket) => {
+    const goal = goalForDay(history, new Date(bucket.period));
+    bucket.goals = computeProgress({
+      calories: bucket.calories?.avg,
+      sleep: bucket.sleep?.avg,
+      steps: bucket.steps?.avg,
+      waterIntake: bucket.waterIntake?.avg,
+      workoutDays: bucket.workouts?.workoutDays
+    }, goal, periodLength(bucket.period, stats.granularity));
+  });
+
+  return stats;
+};
+
+module.exports = {
+  GOAL_FIELDS,
+  getGoalHistory,
+  goalForDay,
+  computeProgress,
+  attachGoalProgress
+};
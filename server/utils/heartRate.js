@@ -0,0 +1,177 @@
+/**
+ * ✅ PRODUCTION-GRADE: Intraday Heart Rate
+ * Batch ingestion into the HeartRateSample time-series collection and daily
+ * resting / average / min / max figures, written back to each day's entry
+ */
+
+const mongoose = require('mongoose');
+const Entry = require('../models/Entry');
+const HeartRateSample = require('../models/HeartRateSample');
+const { toEntryDay, formatEntryDay, DAY_MS } = require('./dates');
+
+const MAX_SAMPLES_PER_BATCH = 5000;
+
+// Resting heart rate is the lowest average over a window of this many minutes...
+const RESTING_WINDOW_MINUTES = 5;
+// ...among windows with at least this many samples
+const RESTING_MIN_SAMPLES = 3;
+
+// Bounds of the entry's daily `heartRate`; samples go higher (up to 250 bpm), so the daily figure is capped
+const { min: MIN_DAILY_HEART_RATE, max: MAX_DAILY_HEART_RATE } = Entry.schema.path('heartRate').options;
+
+/**
+ * Store a batch of samples
+ * Time-series collections can't have unique indexes, so samples already stored
+ * for the same instant (a re-sent batch) and repeats within the batch are skipped
+ *
+ * @returns {{ inserted: number, duplicates: number, days: Date[] }} days = entry days touched
+ */
+const ingestSamples = async (userId, samples, { source, timezone }) => {
+  const byInstant = new Map();
+  samples.forEach((sample) => {
+    const timestamp = new Date(sample.timestamp);
+    byInstant.set(timestamp.getTime(), { timestamp, bpm: Math.round(sample.bpm) });
+  });
+
+  // Only the batch's own instants, so a batch spanning days doesn't load every sample in between
+  const existing = await HeartRateSample.find({
+    'meta.user': userId,
+    timestamp: { $in: [...byInstant.values()].map((sample) => sample.timestamp) }
+  })
+    .select('timestamp')
+    .lean();
+  existing.forEach((sample) => byInstant.delete(sample.timestamp.getTime()));
+
+  const fresh = [...byInstant.values()];
+  if (fresh.length) {
+    await HeartRateSample.insertMany(
+      fresh.map((sample) => ({ ...sample, meta: { user: userId, source } })),
+      { ordered: false }
+    );
+  }
+
+  const dayKeys = new Set(fresh.map((sample) => formatEntryDay(toEntryDay(sample.timestamp, timezone))));
+
+  return {
+    inserted: fresh.length,
+    duplicates: samples.length - fresh.length,
+    days: [...dayKeys].sort().map((key) => new Date(`${key}T00:00:00.000Z`))
+  };
+};
+
+/**
+ * Daily heart-rate figures for the given entry days, computed in MongoDB
+ * Samples are averaged into fixed windows; the lowest window average is the resting rate
+ *
+ * @returns {Map<string, Object>} 'YYYY-MM-DD' -> { resting, avg, min, max, samples }
+ */
+const computeDailyHeartRate = async (userId, days, timezone) => {
+  if (!days.length) return new Map();
+
+  // A local day can start up to ~14h either side of midnight UTC; pad the range and keep only `days`
+  const from = new Date(days[0].getTime() - DAY_MS);
+  const to = new Date(days[days.length - 1].getTime() + 2 * DAY_MS);
+
+  const rows = await HeartRateSample.aggregate([
+    {
+      $match: {
+        'meta.user': new mongoose.Types.ObjectId(String(userId)),
+        timestamp: { $gte: from, $lt: to }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          $dateTrunc: { date: '$timestamp', unit: 'minute', binSize: RESTING_WINDOW_MINUTES, timezone }
+        },
+        sum: { $sum: '$bpm' },
+        count: { $sum: 1 },
+        min: { $min: '$bpm' },
+        max: { $max: '$bpm' }
+      }
+    },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$_id', timezone } },
+        sum: { $sum: '$sum' },
+        samples: { $sum: '$count' },
+        min: { $min: '$min' },
+        max: { $max: '$max' },
+        resting: {
+          $min: {
+            $cond: [{ $gte: ['$count', RESTING_MIN_SAMPLES] }, { $divide: ['$sum', '$count'] }, null]
+          }
+        }
+      }
+    }
+  ]);
+
+  const wanted = new Set(days.map(formatEntryDay));
+  const daily = new Map();
+  rows
+    .filter((row) => wanted.has(row._id))
+    .forEach((row) => {
+      daily.set(row._id, {
+        resting: row.resting === null ? null : Math.round(row.resting),
+        avg: Math.round(row.sum / row.samples),
+        min: row.min,
+        max: row.max,
+        samples: row.samples
+      });
+    });
+
+  return daily;
+};
+
+/**
+ * Recompute the daily figures for some days and store them on the entries
+ * `heartRate` gets the resting rate (or the average when there are too few samples),
+ * capped to the entry's bounds, so clients reading the single daily number keep working
+ */
+const refreshDailyHeartRate = async (userId, days, timezone) => {
+  const daily = await computeDailyHeartRate(userId, days, timezone);
+  if (!daily.size) return [];
+
+  const summaries = [...daily.entries()].map(([key, summary]) => ({
+    date: key,
+    heartRate: Math.min(Math.max(summary.resting ?? summary.avg, MIN_DAILY_HEART_RATE), MAX_DAILY_HEART_RATE),
+    ...summary
+  }));
+
+  // bulkWrite skips schema validation, so check the values here rather than fail a later save of the entry
+  summaries.forEach(({ heartRate, resting, avg, min, max, samples }) => {
+    const error = new Entry({ heartRate, heartRateSummary: { resting, avg, min, max, samples } })
+      .validateSync(['heartRate', 'heartRateSummary']);
+    if (error) throw error;
+  });
+
+  await Entry.bulkWrite(summaries.map(({ date, heartRate, resting, avg, min, max, samples }) => ({
+    updateOne: {
+      filter: { user: userId, date: new Date(`${date}T00:00:00.000Z`) },
+      update: { $set: { heartRate, heartRateSummary: { resting, avg, min, max, samples } } },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  return summaries;
+};
+
+/**
+ * Raw samples in a time range, oldest first
+ */
+const getSamples = (userId, { from, to, limit }) => HeartRateSample.find({
+  'meta.user': userId,
+  timestamp: { $gte: from, $lte: to }
+})
+  .sort({ timestamp: 1 })
+  .limit(limit)
+  .select('-_id timestamp bpm meta.source')
+  .lean();
+
+module.exports = {
+  MAX_SAMPLES_PER_BATCH,
+  ingestSamples,
+  computeDailyHeartRate,
+  refreshDailyHeartRate,
+  getSamples
+};
@@ -0,0 +1,105 @@
+/**
+ * ✅ PRODUCTION-GRADE: Mailer
+ * One interface for outgoing email, with the transport chosen by MAIL_TRANSPORT:
+ * - smtp: a real mail server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD)
+ * - file: one JSON file per message in MAIL_DIR, for local testing without a mail server
+ * - console (default): messages are logged
+ * file and console keep the message body, with its one-time reset and verification links,
+ * on this machine, so they are refused when NODE_ENV is production
+ *
+ * Every mailer implements:
+ *   send({ to, subject, text }) -> Promise<void>
+ *   close() -> Promise<void>
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_MAIL_TRANSPORT = 'console';
+const DEFAULT_MAIL_FROM = 'HealthTracker <no-reply@localhost>';
+const DEFAULT_MAIL_DIR = path.join(os.tmpdir(), 'healthtracker-mail');
+
+// Transports for local development only
+const LOCAL_MAIL_TRANSPORTS = ['file', 'console'];
+
+const mailFrom = () => process.env.MAIL_FROM || DEFAULT_MAIL_FROM;
+
+const createSmtpMailer = () => {
+  // Required lazily so local setups don't need SMTP settings
+  const nodemailer = require('nodemailer');
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true', // true for port 465, STARTTLS otherwise
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async ({ to, subject, text }) => {
+      await transporter.sendMail({ from: mailFrom(), to, subject, text });
+    },
+    close: async () => transporter.close()
+  };
+};
+
+const createFileMailer = () => {
+  const directory = process.env.MAIL_DIR || DEFAULT_MAIL_DIR;
+
+  return {
+    name: 'file',
+    send: async ({ to, subject, text }) => {
+      await fs.mkdir(directory, { recursive: true });
+      // Timestamp first, so a directory listing is in sending order
+      const file = path.join(directory, `${Date.now()}-${crypto.randomUUID()}.json`);
+      const message = { from: mailFrom(), to, subject, text, sentAt: new Date().toISOString() };
+      await fs.writeFile(file, JSON.stringify(message, null, 2));
+      logger.info({ to, subject, file }, 'Email written to file');
+    },
+    close: async () => {}
+  };
+};
+
+const createConsoleMailer = () => ({
+  name: 'console',
+  send: async ({ to, subject, text }) => {
+    logger.info({ from: mailFrom(), to, subject, text }, 'Email (console transport)');
+  },
+  close: async () => {}
+});
+
+const MAIL_TRANSPORTS = {
+  smtp: createSmtpMailer,
+  file: createFileMailer,
+  console: createConsoleMailer
+};
+
+/**
+ * Create the mailer for `transport` (defaults to MAIL_TRANSPORT, then console)
+ * Throws for an unknown transport, and for a local one in production, so the server doesn't start
+ */
+const createMailer = (transport = process.env.MAIL_TRANSPORT || DEFAULT_MAIL_TRANSPORT) => {
+  const create = MAIL_TRANSPORTS[transport];
+  if (!create) {
+    throw new Error(`Unknown mail transport "${transport}" (expected one of: ${Object.keys(MAIL_TRANSPORTS).join(', ')})`);
+  }
+
+  if (process.env.NODE_ENV === 'production' && LOCAL_MAIL_TRANSPORTS.includes(transport)) {
+    throw new Error(`Mail transport "${transport}" exposes password reset and verification tokens; set MAIL_TRANSPORT=smtp in production`);
+  }
+
+  logger.info({ transport }, 'Mailer configured');
+  return create();
+};
+
+module.exports = {
+  MAIL_TRANSPORTS,
+  DEFAULT_MAIL_TRANSPORT,
+  createMailer
+};
@@ -0,0 +1,155 @@
+/**
+ * ✅ PRODUCTION-GRADE: Body Measurements, Trends & BMI
+ * Metric definitions, moving-average trend lines and BMI from the latest weight
+ */
+
+const { formatEntryDay, DAY_MS } = require('./dates');
+
+// Metrics a measurement may carry; values are stored in `unit`
+const MEASUREMENT_METRICS = {
+  weightKg: { unit: 'kg', min: 20, max: 500 },
+  bodyFatPercent: { unit: '%', min: 1, max: 75 },
+  waistCm: { unit: 'cm', min: 20, max: 300 },
+  hipCm: { unit: 'cm', min: 20, max: 300 },
+  chestCm: { unit: 'cm', min: 20, max: 300 },
+  neckCm: { unit: 'cm', min: 10, max: 100 },
+  armCm: { unit: 'cm', min: 10, max: 100 },
+  thighCm: { unit: 'cm', min: 10, max: 150 }
+};
+
+const MEASUREMENT_FIELDS = Object.keys(MEASUREMENT_METRICS);
+
+// Mongoose paths for the metrics
+const MEASUREMENT_SCHEMA_PATHS = Object.fromEntries(
+  MEASUREMENT_FIELDS.map((field) => [field, {
+    type: Number,
+    min: MEASUREMENT_METRICS[field].min,
+    max: MEASUREMENT_METRICS[field].max
+  }])
+);
+
+// Trailing window of the moving average, in days
+const DEFAULT_TREND_WINDOW_DAYS = 7;
+const MAX_TREND_WINDOW_DAYS = 90;
+
+const round = (value, places = 1) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Body-mass index from weight (kg) and height (cm); null when either is missing
+ */
+const computeBmi = (weightKg, heightCm) => {
+  if (!weightKg || !heightCm) return null;
+  const heightM = heightCm / 100;
+  return round(weightKg / (heightM * heightM));
+};
+
+/**
+ * WHO adult BMI category
+ */
+const bmiCategory = (bmi) => {
+  if (bmi === null || bmi === undefined) return null;
+  if (bmi < 18.5) return 'underweight';
+  if (bmi < 25) return 'normal';
+  if (bmi < 30) return 'overweight';
+  return 'obese';
+};
+
+/**
+ * One value per day for a metric: the last measurement taken that day
+ *
+ * @param {Object[]} measurements - Sorted by measuredAt, oldest first
+ * @returns {{ date: string, value: number }[]} oldest first
+ */
+const dailySeries = (measurements, metric) => {
+  const byDay = new Map();
+  measurements.forEach((measurement) => {
+    const value = measurement[metric];
+    if (typeof value === 'number') byDay.set(formatEntryDay(measurement.date), value);
+  });
+
+  return [...byDay.entries()].map(([date, value]) => ({ date, value }));
+};
+
+/**
+ * Add a trailing moving average to a daily series
+ * The window is in calendar days, so gaps between weigh-ins don't stretch it
+ */
+const movingAverage = (series, windowDays = DEFAULT_TREND_WINDOW_DAYS) => series.map((point, index) => {
+  const end = Date.parse(point.date);
+  let sum = 0;
+  let count = 0;
+
+  for (let i = index; i >= 0 && end - Date.parse(series[i].date) < windowDays * DAY_MS; i -= 1) {
+    sum += series[i].value;
+    count += 1;
+  }
+
+  return { ...point, trend: round(sum / count, 2) };
+});
+
+/**
+ * Trend line for one metric, with BMI per point for weight when height is known
+ *
+ * @param {Object[]} measurements - Sorted by measuredAt, oldest first; may start before `from`
+ * @param {Object} options
+ * @param {string} [options.from] - First day (YYYY-MM-DD) to return; earlier days only feed the average
+ */
+const buildTrend = (measurements, metric, { windowDays = DEFAULT_TREND_WINDOW_DAYS, heightCm, from } = {}) => {
+  const points = movingAverage(dailySeries(measurements, metric), windowDays)
+    .filter((point) => !from || point.date >= from)
+    .map((point) => (metric === 'weightKg' && heightCm
+      ? { ...point, bmi: computeBmi(point.value, heightCm), trendBmi: computeBmi(point.trend, heightCm) }
+      : point));
+
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  return {
+    metric,
+    unit: MEASUREMENT_METRICS[metric].unit,
+    windowDays,
+    points,
+    change: points.length > 1 ? round(last.trend - first.trend, 2) : null
+  };
+};
+
+/**
+ * Latest value of every metric with its time, plus BMI from the latest weight
+ *
+ * @param {Object[]} measurements - Sorted by measuredAt, newest first
+ */
+const summarizeLatest = (measurements, heightCm) => {
+  const latest = {};
+  MEASUREMENT_FIELDS.forEach((field) => {
+    const measurement = measurements.find((m) => typeof m[field] === 'number');
+    latest[field] = measurement
+      ? { value: measurement[field], unit: MEASUREMENT_METRICS[field].unit, measuredAt: measurement.measuredAt }
+      : null;
+  });
+
+  const bmi = computeBmi(latest.weightKg?.value, heightCm);
+
+  return {
+    heightCm: heightCm ?? null,
+    latest,
+    bmi,
+    bmiCategory: bmiCategory(bmi)
+  };
+};
+
+module.exports = {
+  MEASUREMENT_METRICS,
+  MEASUREMENT_FIELDS,
+  MEASUREMENT_SCHEMA_PATHS,
+  DEFAULT_TREND_WINDOW_DAYS,
+  MAX_TREND_WINDOW_DAYS,
+  computeBmi,
+  bmiCategory,
+  dailySeries,
+  movingAverage,
+  buildTrend,
+  summarizeLatest
+};
@@ -0,0 +1,143 @@
+/**
+ * ✅ PRODUCTION-GRADE: Medication Schedules & Adherence
+ * How many doses a schedule expects per day and the share of them logged as taken
+ */
+
+const { addDays, startOfWeek, formatEntryDay } = require('./dates');
+
+const MEDICATION_KINDS = ['medication', 'supplement'];
+const DOSE_UNITS = ['mg', 'mcg', 'g', 'ml', 'IU', 'tablet', 'capsule', 'drop', 'puff', 'unit'];
+const DOSE_STATUSES = ['taken', 'skipped'];
+
+// daily: N doses a day at any time; times: at specific clock times; as_needed: no expected doses
+const SCHEDULE_TYPES = ['daily', 'times', 'as_needed'];
+const MAX_DOSES_PER_DAY = 12;
+
+// Local clock time "HH:MM"
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Adherence is counted day by day, so one call covers at most this many days (ending at `to`)
+const MAX_ADHERENCE_DAYS = 366;
+// How far back a medication's startDate may go
+const MAX_START_DATE_AGE_DAYS = 10 * 365;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Doses a medication's schedule expects each day (0 for as-needed)
+ */
+const dosesPerDay = (medication) => {
+  const { type, timesPerDay, times } = medication.schedule || {};
+  if (type === 'times') return (times || []).length;
+  if (type === 'daily') return timesPerDay || 1;
+  return 0;
+};
+
+/**
+ * Whether a medication is scheduled on an entry day
+ */
+const isActiveOn = (medication, day) => day >= medication.startDate
+  && (!medication.endDate || day <= medication.endDate);
+
+/**
+ * Period a day belongs to for a stats granularity
+ */
+const periodOf = (day, granularity) => {
+  if (granularity === 'week') return formatEntryDay(startOfWeek(day));
+  if (granularity === 'month') return formatEntryDay(new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1)));
+  return formatEntryDay(day);
+};
+
+const emptyTally = () => ({ expected: 0, taken: 0, skipped: 0, missed: 0 });
+
+/**
+ * Add one medication-day to a tally
+ * Doses beyond what the schedule expects (a double dose) don't push adherence over 100%
+ */
+const addDay = (tally, expected, logged) => {
+  const taken = expected ? Math.min(logged.taken, expected) : logged.taken;
+  const skipped = expected ? Math.min(logged.skipped, expected - taken) : logged.skipped;
+
+  tally.expected += expected;
+  tally.taken += taken;
+  tally.skipped += skipped;
+  tally.missed += expected ? expected - taken - skipped : 0;
+};
+
+const withPercent = (tally) => ({
+  ...tally,
+  adherencePercent: tally.expected ? round((tally.taken / tally.expected) * 100) : null
+});
+
+/**
+ * Adherence over an inclusive range of entry days
+ * Scheduled doses with no log count as missed; as-needed medications only report doses taken
+ *
+ * @param {Object[]} medications - Medication documents
+ * @param {Object[]} doses - Dose logs (medication, date, status) in the range
+ * @param {Object} options
+ * @param {Date} options.from - First entry day
+ * @param {Date} options.to - Last entry day
+ * @param {'day'|'week'|'month'} [options.granularity] - Bucket size for `buckets`
+ */
+const computeAdherence = (medications, doses, { from, to, granularity = 'day' }) => {
+  const logged = new Map();
+  doses.forEach((dose) => {
+    const key = `${dose.medication}|${formatEntryDay(dose.date)}`;
+    const counts = logged.get(key) || { taken: 0, skipped: 0 };
+    counts[dose.status] += 1;
+    logged.set(key, counts);
+  });
+
+  const overall = emptyTally();
+  const perMedication = new Map(medications.map((medication) => [String(medication._id), emptyTally()]));
+  const buckets = new Map();
+
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    const dayKey = formatEntryDay(day);
+    const period = periodOf(day, granularity);
+    if (!buckets.has(period)) buckets.set(period, emptyTally());
+
+    medications.forEach((medication) => {
+      if (!isActiveOn(medication, day)) return;
+
+      const expected = dosesPerDay(medication);
+      const counts = logged.get(`${medication._id}|${dayKey}`) || { taken: 0, skipped: 0 };
+
+      addDay(perMedication.get(String(medication._id)), expected, counts);
+      // Overall figures and buckets only cover scheduled medications
+      if (expected) {
+        addDay(overall, expected, counts);
+        addDay(buckets.get(period), expected, counts);
+      }
+    });
+  }
+
+  return {
+    from: formatEntryDay(from),
+    to: formatEntryDay(to),
+    ...withPercent(overall),
+    medications: medications.map((medication) => ({
+      medicationId: medication._id,
+      name: medication.name,
+      kind: medication.kind,
+      schedule: medication.schedule.type,
+      ...withPercent(perMedication.get(String(medication._id)))
+    })),
+    buckets: [...buckets.entries()].map(([period, tally]) => ({ period, ...withPercent(tally) }))
+  };
+};
+
+module.exports = {
+  MEDICATION_KINDS,
+  DOSE_UNITS,
+  DOSE_STATUSES,
+  SCHEDULE_TYPES,
+  MAX_DOSES_PER_DAY,
+  TIME_OF_DAY,
+  MAX_ADHERENCE_DAYS,
+  MAX_START_DATE_AGE_DAYS,
+  dosesPerDay,
+  isActiveOn,
+  computeAdherence
+};
@@ -0,0 +1,97 @@
+/**
+ * ✅ PRODUCTION-GRADE: Mood Check-ins
+ * The 1-5 mood scale, its labels, and the daily summary derived from a day's check-ins
+ */
+
+// Labels for scores 1-5; an entry's `mood` is the label of its rounded average score
+const MOOD_LEVELS = ['poor', 'fair', 'neutral', 'good', 'excellent'];
+const MIN_MOOD_SCORE = 1;
+const MAX_MOOD_SCORE = MOOD_LEVELS.length;
+
+const MAX_TAGS_PER_CHECK_IN = 10;
+const MAX_TAG_LENGTH = 30;
+const MAX_JOURNAL_LENGTH = 5000;
+
+// Tags listed in a daily summary, most used first
+const MAX_SUMMARY_TAGS = 5;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Label for a (possibly fractional) score
+ */
+const moodLabel = (score) => MOOD_LEVELS[Math.min(
+  MAX_MOOD_SCORE,
+  Math.max(MIN_MOOD_SCORE, Math.round(score))
+) - 1];
+
+/**
+ * Score for a label; undefined for anything else
+ */
+const moodScoreOf = (label) => {
+  const index = MOOD_LEVELS.indexOf(label);
+  return index === -1 ? undefined : index + 1;
+};
+
+/**
+ * Lowercase, trimmed tag with inner whitespace collapsed
+ */
+const normalizeTag = (tag) => String(tag).trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Most used tags first; ties keep the order they were first used in
+ */
+const topTags = (checkIns, limit = MAX_SUMMARY_TAGS) => {
+  const counts = new Map();
+  checkIns.forEach((checkIn) => {
+    (checkIn.tags || []).forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+
+  return [...counts.entries()]
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, limit)
+    .map(([tag]) => tag);
+};
+
+/**
+ * Daily mood summary for a day's check-ins; null when there are none
+ *
+ * @returns {{ avg: number, min: number, max: number, checkIns: number, tags: string[] }|null}
+ */
+const summarizeCheckIns = (checkIns = []) => {
+  if (!checkIns.length) return null;
+
+  const scores = checkIns.map((checkIn) => checkIn.score);
+
+  return {
+    avg: round(scores.reduce((sum, score) => sum + score, 0) / scores.length),
+    min: Math.min(...scores),
+    max: Math.max(...scores),
+    checkIns: scores.length,
+    tags: topTags(checkIns)
+  };
+};
+
+/**
+ * Derive `moodScore` for an entry write that sets the `mood` label directly
+ * (clients that don't use check-ins), so stats see the same day either way
+ */
+const resolveMood = (fields) => {
+  if (fields.mood === undefined) return fields;
+  return { ...fields, moodScore: moodScoreOf(fields.mood) };
+};
+
+module.exports = {
+  MOOD_LEVELS,
+  MIN_MOOD_SCORE,
+  MAX_MOOD_SCORE,
+  MAX_TAGS_PER_CHECK_IN,
+  MAX_TAG_LENGTH,
+  MAX_JOURNAL_LENGTH,
+  moodLabel,
+  moodScoreOf,
+  normalizeTag,
+  topTags,
+  summarizeCheckIns,
+  resolveMood
+};
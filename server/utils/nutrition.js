@@ -0,0 +1,79 @@
+/**
+ * ✅ PRODUCTION-GRADE: Nutrient Definitions & Totals
+ * Macro/micronutrients tracked on food items, their storage units, and daily totals
+ */
+
+// Nutrients a food item may carry; values are stored in `unit` for the amount eaten
+const NUTRIENTS = {
+  protein: { unit: 'g', max: 1000 },
+  carbohydrate: { unit: 'g', max: 1000 },
+  fat: { unit: 'g', max: 1000 },
+  fiber: { unit: 'g', max: 500 },
+  sugar: { unit: 'g', max: 1000 },
+  sodium: { unit: 'mg', max: 50000 }
+};
+
+const NUTRIENT_FIELDS = Object.keys(NUTRIENTS);
+
+const NUTRIENT_UNITS = Object.fromEntries(
+  NUTRIENT_FIELDS.map((field) => [field, NUTRIENTS[field].unit])
+);
+
+// Mongoose paths for the nutrients, shared by Entry food items and the Food catalog
+const NUTRIENT_SCHEMA_PATHS = Object.fromEntries(
+  NUTRIENT_FIELDS.map((field) => [field, { type: Number, min: 0, max: NUTRIENTS[field].max }])
+);
+
+// Units a serving size can be expressed in
+const SERVING_UNITS = ['g', 'ml', 'oz', 'cup', 'tbsp', 'tsp', 'piece', 'slice', 'serving'];
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Sum each nutrient over a list of food items
+ * A nutrient no item recorded is null (not tracked) rather than 0
+ */
+const sumNutrients = (items = []) => {
+  const totals = {};
+
+  NUTRIENT_FIELDS.forEach((field) => {
+    const values = items
+      .map((item) => item[field])
+      .filter((value) => typeof value === 'number');
+
+    totals[field] = values.length ? round(values.reduce((sum, value) => sum + value, 0)) : null;
+  });
+
+  return totals;
+};
+
+/**
+ * Average daily totals over the days that recorded each nutrient
+ *
+ * @param {Object[]} dailyTotals - Results of sumNutrients, one per day
+ */
+const averageNutrients = (dailyTotals) => {
+  const averages = {};
+
+  NUTRIENT_FIELDS.forEach((field) => {
+    const values = dailyTotals
+      .map((totals) => totals[field])
+      .filter((value) => value !== null);
+
+    averages[field] = values.length
+      ? round(values.reduce((sum, value) => sum + value, 0) / values.length)
+      : null;
+  });
+
+  return averages;
+};
+
+module.exports = {
+  NUTRIENTS,
+  NUTRIENT_FIELDS,
+  NUTRIENT_UNITS,
+  NUTRIENT_SCHEMA_PATHS,
+  SERVING_UNITS,
+  sumNutrients,
+  averageNutrients
+};
@@ -0,0 +1,93 @@
+/**
+ * ✅ PRODUCTION-GRADE: Cursor Pagination Helpers
+ * Opaque cursors keyed on the entry `date` field.
+ * (user, date) is unique, so the date alone identifies a position in the list.
+ */
+
+const DIRECTIONS = ['next', 'prev'];
+
+/**
+ * Encode a date + direction into an opaque, URL-safe cursor
+ */
+const encodeCursor = (date, direction = 'next') => {
+  const payload = JSON.stringify({ d: new Date(date).toISOString(), dir: direction });
+  return Buffer.from(payload).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * Returns null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string' || !cursor) return null;
+
+  try {
+    const { d, dir } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const date = new Date(d);
+
+    if (Number.isNaN(date.getTime()) || !DIRECTIONS.includes(dir)) {
+      return null;
+    }
+
+    return { date, direction: dir };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Fetch one page of documents ordered by `date`
+ *
+ * @param {Model} Model - Mongoose model with a `date` field
+ * @param {Object} filter - Base filter (user, date range), also used for the total count
+ * @param {Object} options
+ * @param {number} options.limit - Page size
+ * @param {'asc'|'desc'} options.sort - Sort order of the returned page
+ * @param {string} [options.cursor] - Cursor from a previous response
+ */
+const paginateByDate = async (Model, filter, { limit, sort = 'desc', cursor }) => {
+  const order = sort === 'asc' ? 1 : -1;
+  const decoded = decodeCursor(cursor);
+  const goingBack = decoded?.direction === 'prev';
+
+  // Walking backwards means querying in the opposite order, then flipping the page
+  const queryOrder = goingBack ? -order : order;
+  const query = { ...filter };
+
+  if (decoded) {
+    const op = queryOrder === 1 ? '$gt' : '$lt';
+    query.date = { ...(filter.date || {}), [op]: decoded.date };
+  }
+
+  const [docs, total] = await Promise.all([
+    Model.find(query)
+      .sort({ date: queryOrder })
+      .limit(limit + 1),
+    Model.countDocuments(filter)
+  ]);
+
+  const hasMore = docs.length > limit;
+  const page = hasMore ? docs.slice(0, limit) : docs;
+  if (goingBack) page.reverse();
+
+  const first = page[0];
+  const last = page[page.length - 1];
+
+  // Forward: more pages ahead only if we over-fetched; a page behind whenever a cursor was used
+  // Backward: the page we came from is always ahead; more behind only if we over-fetched
+  const hasNext = goingBack ? page.length > 0 : hasMore;
+  const hasPrev = goingBack ? hasMore : Boolean(decoded) && page.length > 0;
+
+  return {
+    data: page,
+    total,
+    nextCursor: hasNext && last ? encodeCursor(last.date, 'next') : null,
+    prevCursor: hasPrev && first ? encodeCursor(first.date, 'prev') : null
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  paginateByDate
+};
@@ -0,0 +1,24 @@
+/**
+ * ✅ PRODUCTION-GRADE: User Preference Lookup
+ * Loads the per-user settings that change how data is bucketed and presented
+ */
+
+const User = require('../models/User');
+const { DEFAULT_TIMEZONE } = require('./dates');
+const { DEFAULT_UNIT_SYSTEM } = require('./units');
+
+/**
+ * Get preferences for a user, falling back to defaults if the user or field is missing
+ */
+const getUserPreferences = async (userId) => {
+  const user = await User.findById(userId).select('timezone unitSystem').lean();
+
+  return {
+    timezone: user?.timezone || DEFAULT_TIMEZONE,
+    unitSystem: user?.unitSystem || DEFAULT_UNIT_SYSTEM
+  };
+};
+
+module.exports = {
+  getUserPreferences
+};
@@ -0,0 +1,121 @@
+/**
+ * ✅ PRODUCTION-GRADE: Access Token Revocation Store
+ * Remembers access tokens revoked before they expire (logout), keyed by their `jti` claim.
+ * Entries only need to outlive the token, so every backend forgets them at `expiresAt`.
+ *
+ * Backends (TOKEN_REVOCATION_STORE):
+ * - mongo (default): RevokedToken collection with a TTL index; shared and persistent
+ * - redis: keys with an expiry; shared and persistent (uses REDIS_* settings)
+ * - memory: per-process Map; lost on restart, single-server deployments only
+ *
+ * Every store implements:
+ *   revoke({ jti, expiresAt, userId }) -> Promise<void>
+ *   isRevoked(jti) -> Promise<boolean>
+ *   close() -> Promise<void>
+ */
+
+const logger = require('./logger');
+
+const DEFAULT_REVOCATION_STORE = 'mongo';
+const REDIS_KEY_PREFIX = 'revoked-token:';
+
+const createMemoryStore = () => {
+  const revoked = new Map(); // jti -> expiry (ms)
+
+  const prune = () => {
+    const now = Date.now();
+    revoked.forEach((expiresAt, jti) => {
+      if (expiresAt <= now) revoked.delete(jti);
+    });
+  };
+
+  return {
+    name: 'memory',
+    revoke: async ({ jti, expiresAt }) => {
+      prune();
+      revoked.set(jti, expiresAt.getTime());
+    },
+    isRevoked: async (jti) => (revoked.get(jti) || 0) > Date.now(),
+    close: async () => revoked.clear()
+  };
+};
+
+const createMongoStore = () => {
+  // Required lazily so the memory and redis stores don't load models
+  const RevokedToken = require('../models/RevokedToken');
+
+  return {
+    name: 'mongo',
+    revoke: async ({ jti, expiresAt, userId }) => {
+      await RevokedToken.updateOne(
+        { jti },
+        { $setOnInsert: { jti, expiresAt, user: userId } },
+        { upsert: true }
+      );
+    },
+    // The TTL monitor only runs every minute, so expiry is checked here too
+    isRevoked: async (jti) => Boolean(await RevokedToken.exists({ jti, expiresAt: { $gt: new Date() } })),
+    close: async () => {}
+  };
+};
+
+const createRedisStore = () => {
+  const { createClient } = require('redis');
+
+  const client = createClient({
+    socket: {
+      host: process.env.REDIS_HOST || 'localhost',
+      port: Number(process.env.REDIS_PORT) || 6379
+    },
+    password: process.env.REDIS_PASSWORD || undefined,
+    database: Number(process.env.REDIS_DB) || 0
+  });
+  client.on('error', (err) => logger.error({ error: err.message }, 'Revocation store Redis error'));
+
+  // Connect on first use; later calls share the same connection
+  let connection;
+  const connected = () => {
+    connection = connection || client.connect();
+    return connection;
+  };
+
+  return {
+    name: 'redis',
+    revoke: async ({ jti, expiresAt }) => {
+      await connected();
+      await client.set(`${REDIS_KEY_PREFIX}${jti}`, '1', { PXAT: expiresAt.getTime() });
+    },
+    isRevoked: async (jti) => {
+      await connected();
+      return await client.exists(`${REDIS_KEY_PREFIX}${jti}`) === 1;
+    },
+    close: async () => {
+      if (connection) await client.quit();
+    }
+  };
+};
+
+const REVOCATION_STORES = {
+  memory: createMemoryStore,
+  mongo: createMongoStore,
+  redis: createRedisStore
+};
+
+/**
+ * Create the revocation store named by `type` (defaults to TOKEN_REVOCATION_STORE, then mongo)
+ */
+const createRevocationStore = (type = process.env.TOKEN_REVOCATION_STORE || DEFAULT_REVOCATION_STORE) => {
+  const create = REVOCATION_STORES[type];
+  if (!create) {
+    throw new Error(`Unknown token revocation store "${type}" (expected one of: ${Object.keys(REVOCATION_STORES).join(', ')})`);
+  }
+
+  logger.info({ store: type }, 'Token revocation store configured');
+  return create();
+};
+
+module.exports = {
+  REVOCATION_STORES,
+  DEFAULT_REVOCATION_STORE,
+  createRevocationStore
+};
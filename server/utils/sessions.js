@@ -0,0 +1,53 @@
+/**
+ * ✅ PRODUCTION-GRADE: Device Sessions
+ * A session is one login's refresh token family; these helpers describe the device it belongs to
+ */
+
+const MAX_SESSION_LABEL_LENGTH = 100;
+const MAX_USER_AGENT_LENGTH = 512;
+
+// First match wins, so more specific browsers come before the ones they embed
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//]
+];
+
+const PLATFORMS = [
+  ['iOS', /iPhone|iPad/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X/],
+  ['Linux', /Linux/]
+];
+
+const firstMatch = (candidates, userAgent) => candidates.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+/**
+ * Readable default label for a user agent ("Firefox on Windows"); null when nothing is recognised
+ */
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) return null;
+
+  const browser = firstMatch(BROWSERS, userAgent);
+  const platform = firstMatch(PLATFORMS, userAgent);
+
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || null;
+};
+
+/**
+ * Device metadata of a request, stored with its refresh token
+ */
+const deviceOf = (req) => ({
+  userAgent: req.get('user-agent')?.slice(0, MAX_USER_AGENT_LENGTH),
+  ip: req.ip
+});
+
+module.exports = {
+  MAX_SESSION_LABEL_LENGTH,
+  describeUserAgent,
+  deviceOf
+};
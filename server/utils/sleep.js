@@ -0,0 +1,123 @@
+/**
+ * ✅ PRODUCTION-GRADE: Sleep Sessions & Consistency
+ * Session durations, which day a session belongs to, and consistency metrics
+ * (bedtime/wake-time variability and sleep debt) over a range of days
+ */
+
+const { getLocalParts, toEntryDay } = require('./dates');
+const { goalForDay } = require('./goals');
+
+const SLEEP_TYPES = ['main', 'nap'];
+const MAX_SESSION_HOURS = 24;
+
+// Nightly need used for sleep debt when the user has no sleep goal
+const DEFAULT_SLEEP_NEED_HOURS = 8;
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOON_MINUTES = 12 * 60;
+const DAY_MINUTES = 24 * 60;
+
+const round = (value, places = 1) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Hours between a session's start and end
+ */
+const sessionHours = (session) => round(
+  (new Date(session.endedAt) - new Date(session.startedAt)) / HOUR_MS,
+  2
+);
+
+/**
+ * Entry day a session belongs to: the day it ends on in the user's timezone,
+ * so a night from 23:00 to 07:00 counts for the morning you wake up
+ */
+const sleepDayFor = (session, timezone) => toEntryDay(session.endedAt, timezone);
+
+/**
+ * Whether two sessions overlap in time
+ */
+const overlaps = (a, b) => new Date(a.startedAt) < new Date(b.endedAt)
+  && new Date(b.startedAt) < new Date(a.endedAt);
+
+/**
+ * Minutes after local noon (bedtimes) or midnight (wake times) of an instant,
+ * so times on either side of midnight stay next to each other
+ */
+const minutesAfter = (instant, timezone, originMinutes) => {
+  const { hour, minute } = getLocalParts(instant, timezone);
+  return (hour * 60 + minute - originMinutes + DAY_MINUTES) % DAY_MINUTES;
+};
+
+/**
+ * Mean clock time ("HH:MM") and standard deviation in minutes of a set of times
+ */
+const describeTimes = (minutes, originMinutes) => {
+  if (!minutes.length) return { avg: null, stdDevMinutes: null };
+
+  const mean = minutes.reduce((sum, value) => sum + value, 0) / minutes.length;
+  const variance = minutes.reduce((sum, value) => sum + (value - mean) ** 2, 0) / minutes.length;
+
+  const clock = Math.round(mean + originMinutes) % DAY_MINUTES;
+  const hh = String(Math.floor(clock / 60)).padStart(2, '0');
+  const mm = String(clock % 60).padStart(2, '0');
+
+  return { avg: `${hh}:${mm}`, stdDevMinutes: Math.round(Math.sqrt(variance)) };
+};
+
+const average = (values) => (values.length
+  ? round(values.reduce((sum, value) => sum + value, 0) / values.length)
+  : null);
+
+/**
+ * Sleep-consistency metrics for a set of entries
+ * - bedtime / wakeTime: average clock time and spread of main sleep sessions
+ * - sleepDebtHours: hours short of the sleep goal (or 8 h) summed over days with sleep logged
+ *
+ * @param {Object[]} entries - Entries with date, sleep and sleepSessions
+ * @param {Object} options
+ * @param {string} options.timezone - User timezone for clock times
+ * @param {Object[]} options.goalHistory - Goal versions (see getGoalHistory)
+ */
+const computeSleepConsistency = (entries, { timezone, goalHistory = [] }) => {
+  const sessions = entries.flatMap((entry) => entry.sleepSessions || []);
+  const mainSessions = sessions.filter((session) => session.type !== 'nap');
+
+  let sleepDebtHours = 0;
+  let nights = 0;
+  entries.forEach((entry) => {
+    if (!(entry.sleep > 0)) return;
+    nights += 1;
+    const need = goalForDay(goalHistory, entry.date)?.sleep || DEFAULT_SLEEP_NEED_HOURS;
+    sleepDebtHours += Math.max(0, need - entry.sleep);
+  });
+
+  return {
+    nights,
+    sessionsTracked: mainSessions.length,
+    bedtime: describeTimes(
+      mainSessions.map((session) => minutesAfter(session.startedAt, timezone, NOON_MINUTES)),
+      NOON_MINUTES
+    ),
+    wakeTime: describeTimes(
+      mainSessions.map((session) => minutesAfter(session.endedAt, timezone, 0)),
+      0
+    ),
+    sleepDebtHours: round(sleepDebtHours),
+    avgQuality: average(sessions.filter((s) => s.quality).map((s) => s.quality)),
+    avgAwakenings: average(mainSessions.filter((s) => s.awakenings !== undefined).map((s) => s.awakenings)),
+    naps: sessions.length - mainSessions.length
+  };
+};
+
+module.exports = {
+  SLEEP_TYPES,
+  MAX_SESSION_HOURS,
+  DEFAULT_SLEEP_NEED_HOURS,
+  sessionHours,
+  sleepDayFor,
+  overlaps,
+  computeSleepConsistency
+};
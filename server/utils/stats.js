@@ -0,0 +1,200 @@
+/**
+ * ✅ PRODUCTION-GRADE: Entry Aggregates
+ * Day/week/month rollups computed in MongoDB with one aggregation pipeline.
+ * Entry dates are already the user's calendar day at midnight UTC (see utils/dates.js),
+ * so buckets are truncated in UTC.
+ */
+
+const mongoose = require('mongoose');
+const Entry = require('../models/Entry');
+const Medication = require('../models/Medication');
+const MedicationDose = require('../models/MedicationDose');
+const { formatEntryDay, todayFor, addDays } = require('./dates');
+const { getGoalHistory } = require('./goals');
+const { computeSleepConsistency } = require('./sleep');
+const { computeAdherence, MAX_ADHERENCE_DAYS } = require('./medications');
+const { MOOD_LEVELS } = require('./mood');
+
+// Numeric metrics; 0 means "not logged" and is excluded from avg/min/max
+const NUMERIC_METRICS = ['calories', 'caloriesBurned', 'netCalories', 'sleep', 'steps', 'heartRate', 'waterIntake', 'mood'];
+const ENTRY_METRICS = [...NUMERIC_METRICS, 'workouts'];
+// `medications` comes from dose logs rather than entries (see getMedicationAdherence)
+const STAT_METRICS = [...ENTRY_METRICS, 'medications'];
+const GRANULARITIES = ['day', 'week', 'month'];
+
+// 1-5 mood score; entries that only have a label (older data) use the label's position on the scale
+const MOOD_SCORE = { $ifNull: ['$moodScore', { $add: [{ $indexOfArray: [MOOD_LEVELS, '$mood'] }, 1] }] };
+
+// Metrics computed from other fields: the value, and when a day counts as logged
+const DERIVED_METRICS = {
+  // Calories eaten minus burned; can be negative, so "logged" follows calories eaten
+  netCalories: {
+    value: { $subtract: ['$calories', { $ifNull: ['$caloriesBurned', 0] }] },
+    logged: { $gt: ['$calories', 0] }
+  },
+  mood: {
+    value: MOOD_SCORE,
+    logged: { $gt: [MOOD_SCORE, 0] }
+  }
+};
+
+/**
+ * $group accumulators for the requested metrics
+ */
+const buildAccumulators = (metrics) => {
+  const accumulators = { days: { $sum: 1 } };
+
+  metrics.forEach((metric) => {
+    if (metric === 'workouts') {
+      // Legacy `workouts: true` days count as workout days even without sessions
+      accumulators.workoutDays = { $sum: { $cond: ['$workouts', 1, 0] } };
+      accumulators.workoutSessions = { $sum: { $size: { $ifNull: ['$workoutSessions', []] } } };
+      accumulators.workoutMinutes = { $sum: { $sum: '$workoutSessions.durationMinutes' } };
+      return;
+    }
+
+    const { value, logged } = DERIVED_METRICS[metric] || {
+      value: `$${metric}`,
+      logged: { $gt: [`$${metric}`, 0] }
+    };
+    const valueOrNull = { $cond: [logged, value, null] };
+
+    accumulators[`${metric}Avg`] = { $avg: valueOrNull };
+    accumulators[`${metric}Min`] = { $min: valueOrNull };
+    accumulators[`${metric}Max`] = { $max: valueOrNull };
+    accumulators[`${metric}Total`] = { $sum: { $cond: [logged, value, 0] } };
+    accumulators[`${metric}Days`] = { $sum: { $cond: [logged, 1, 0] } };
+  });
+
+  return accumulators;
+};
+
+const round = (value) => (value === null || value === undefined ? null : Math.round(value * 10) / 10);
+
+/**
+ * Reshape a flat $group row into { days, calories: { avg, min, ... }, workouts: { ... } }
+ */
+const formatGroup = (row, metrics) => {
+  const result = { days: row.days };
+
+  metrics.forEach((metric) => {
+    if (metric === 'workouts') {
+      result.workouts = {
+        workoutDays: row.workoutDays ?? 0,
+        sessions: row.workoutSessions ?? 0,
+        minutes: round(row.workoutMinutes ?? 0)
+      };
+      return;
+    }
+
+    result[metric] = {
+      avg: round(row[`${metric}Avg`]),
+      min: row[`${metric}Min`] ?? null,
+      max: row[`${metric}Max`] ?? null,
+      total: round(row[`${metric}Total`] ?? 0),
+      daysWithData: row[`${metric}Days`] ?? 0
+    };
+  });
+
+  return result;
+};
+
+/**
+ * Aggregate a user's entries into period buckets plus an overall summary
+ *
+ * @param {string} userId
+ * @param {Object} options
+ * @param {Object} [options.dateRange] - Mongo condition on `date` (see toDayRange)
+ * @param {'day'|'week'|'month'} [options.granularity] - Bucket size; weeks start on Monday
+ * @param {string[]} [options.metrics] - Subset of STAT_METRICS
+ */
+const getEntryStats = async (userId, { dateRange, granularity = 'day', metrics = STAT_METRICS } = {}) => {
+  const match = { user: new mongoose.Types.ObjectId(String(userId)) };
+  if (dateRange) match.date = dateRange;
+
+  const entryMetrics = metrics.filter((metric) => ENTRY_METRICS.includes(metric));
+  const accumulators = buildAccumulators(entryMetrics);
+  const period = granularity === 'day'
+    ? '$date'
+    : { $dateTrunc: { date: '$date', unit: granularity, startOfWeek: 'monday', timezone: 'UTC' } };
+
+  const [result] = await Entry.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        buckets: [
+          { $group: { _id: period, ...accumulators } },
+          { $sort: { _id: 1 } }
+        ],
+        summary: [
+          { $group: { _id: null, ...accumulators } }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    granularity,
+    metrics,
+    buckets: result.buckets.map((row) => ({
+      period: formatEntryDay(row._id),
+      ...formatGroup(row, entryMetrics)
+    })),
+    summary: result.summary[0]
+      ? formatGroup(result.summary[0], entryMetrics)
+      : formatGroup({ days: 0 }, entryMetrics)
+  };
+};
+
+/**
+ * Sleep-consistency metrics (see utils/sleep.js) for a user's entries in a day range
+ * Clock times need the user's timezone, so this runs over the documents rather than in the pipeline
+ */
+const getSleepConsistency = async (userId, { dateRange, timezone }) => {
+  const filter = { user: userId };
+  if (dateRange) filter.date = dateRange;
+
+  const [entries, goalHistory] = await Promise.all([
+    Entry.find(filter).select('date sleep sleepSessions').lean(),
+    getGoalHistory(userId, dateRange?.$lte)
+  ]);
+
+  return computeSleepConsistency(entries, { timezone, goalHistory });
+};
+
+/**
+ * Medication adherence (see utils/medications.js) for a user in a day range
+ * Without a range it runs from the earliest medication start; days after today never count as missed.
+ * The range is cut to the last MAX_ADHERENCE_DAYS days
+ */
+const getMedicationAdherence = async (userId, { dateRange, timezone, granularity }) => {
+  const today = todayFor(timezone);
+  const to = dateRange?.$lte && dateRange.$lte < today ? dateRange.$lte : today;
+
+  const medicationFilter = { user: userId, startDate: { $lte: to } };
+  if (dateRange?.$gte) {
+    medicationFilter.$or = [{ endDate: null }, { endDate: { $gte: dateRange.$gte } }];
+  }
+  const medications = await Medication.find(medicationFilter).sort({ name: 1 }).lean();
+
+  const earliest = addDays(to, -(MAX_ADHERENCE_DAYS - 1));
+  let from = dateRange?.$gte
+    || (medications.length ? new Date(Math.min(...medications.map((m) => m.startDate))) : to);
+  if (from < earliest) from = earliest;
+
+  const doses = medications.length
+    ? await MedicationDose.find({ user: userId, date: { $gte: from, $lte: to } })
+      .select('medication date status')
+      .lean()
+    : [];
+
+  return computeAdherence(medications, doses, { from, to, granularity });
+};
+
+module.exports = {
+  STAT_METRICS,
+  GRANULARITIES,
+  getEntryStats,
+  getSleepConsistency,
+  getMedicationAdherence
+};
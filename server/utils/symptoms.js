@@ -0,0 +1,84 @@
+/**
+ * ✅ PRODUCTION-GRADE: Symptom Vocabulary
+ * Canonical symptom names and the everyday terms that map onto them, so
+ * "head ache", "Headache" and "head pain" are all logged (and analysed) as one symptom
+ */
+
+// Canonical name -> synonyms (compared after normalizeTerm)
+const SYMPTOM_VOCABULARY = {
+  headache: ['head ache', 'head pain', 'tension headache'],
+  migraine: ['migraines'],
+  fatigue: ['tired', 'tiredness', 'exhaustion', 'exhausted', 'low energy', 'lethargy'],
+  brain_fog: ['foggy', 'fog', 'poor concentration'],
+  dizziness: ['dizzy', 'lightheaded', 'light headed', 'vertigo'],
+  nausea: ['nauseous', 'queasy', 'sick to stomach'],
+  vomiting: ['vomit', 'throwing up'],
+  bloating: ['bloated', 'gas', 'flatulence'],
+  abdominal_pain: ['stomach ache', 'stomachache', 'stomach pain', 'belly pain', 'tummy ache'],
+  heartburn: ['acid reflux', 'reflux', 'indigestion'],
+  diarrhea: ['diarrhoea', 'loose stools'],
+  constipation: ['constipated'],
+  back_pain: ['backache', 'back ache', 'lower back pain'],
+  joint_pain: ['joint ache', 'arthralgia', 'stiff joints'],
+  muscle_pain: ['muscle ache', 'sore muscles', 'myalgia', 'muscle soreness'],
+  menstrual_cramps: ['period pain', 'period cramps', 'cramps'],
+  cough: ['coughing'],
+  sore_throat: ['throat pain', 'scratchy throat'],
+  congestion: ['stuffy nose', 'blocked nose', 'runny nose', 'nasal congestion'],
+  sneezing: ['hay fever', 'allergies'],
+  fever: ['high temperature', 'temperature'],
+  chills: ['shivering'],
+  shortness_of_breath: ['breathless', 'breathlessness', 'short of breath'],
+  chest_pain: ['chest tightness'],
+  palpitations: ['racing heart', 'heart racing', 'irregular heartbeat'],
+  anxiety: ['anxious', 'nervousness', 'panic'],
+  irritability: ['irritable', 'moody'],
+  rash: ['hives', 'skin rash'],
+  itching: ['itchy', 'itchy skin'],
+  insomnia: ['cant sleep', 'trouble sleeping', 'sleeplessness'],
+  other: []
+};
+
+const SYMPTOM_NAMES = Object.keys(SYMPTOM_VOCABULARY);
+const MAX_SYMPTOMS_PER_DAY = 20;
+
+/**
+ * Lowercase, drop punctuation and treat "_", "-" and repeated spaces as a single space
+ */
+const normalizeTerm = (text) => String(text)
+  .toLowerCase()
+  .replace(/['’]/g, '')
+  .replace(/[_\-\s]+/g, ' ')
+  .trim();
+
+const TERM_TO_NAME = new Map();
+SYMPTOM_NAMES.forEach((name) => {
+  TERM_TO_NAME.set(normalizeTerm(name), name);
+  SYMPTOM_VOCABULARY[name].forEach((synonym) => TERM_TO_NAME.set(normalizeTerm(synonym), name));
+});
+
+/**
+ * Canonical name for a symptom term, or null when it isn't in the vocabulary
+ */
+const normalizeSymptomName = (text) => TERM_TO_NAME.get(normalizeTerm(text)) || null;
+
+/**
+ * Structured symptom from a stored or submitted value
+ * Free-text strings (the old format) become unrated symptoms; unknown terms are kept
+ * as `other` with the original text in `notes`
+ */
+const toSymptom = (value) => {
+  if (value && typeof value === 'object') return value;
+
+  const text = String(value).trim();
+  const name = normalizeSymptomName(text);
+  return name ? { name } : { name: 'other', notes: text };
+};
+
+module.exports = {
+  SYMPTOM_VOCABULARY,
+  SYMPTOM_NAMES,
+  MAX_SYMPTOMS_PER_DAY,
+  normalizeSymptomName,
+  toSymptom
+};
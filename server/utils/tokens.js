@@ -0,0 +1,26 @@
+/**
+ * ✅ PRODUCTION-GRADE: Token Hashing
+ * Bearer secrets (refresh tokens, password reset tokens) are stored as SHA-256 hashes, so a
+ * database leak doesn't leak usable tokens. They are long and random, so a fast unsalted hash is enough.
+ */
+
+const crypto = require('crypto');
+
+// Random bytes in generated tokens (64 hex characters)
+const TOKEN_BYTES = 32;
+
+/**
+ * Random single-use token to send to a user (e.g. in an email link)
+ */
+const generateToken = () => crypto.randomBytes(TOKEN_BYTES).toString('hex');
+
+/**
+ * Hex SHA-256 of a token, as stored and looked up
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = {
+  TOKEN_BYTES,
+  generateToken,
+  hashToken
+};
@@ -0,0 +1,329 @@
+/**
+ * ✅ PRODUCTION-GRADE: Unit Systems
+ * Everything is stored in metric units; users on the imperial system send and
+ * receive pounds, inches, miles and fluid ounces. Conversion only happens at the
+ * API boundary (request bodies on the way in, response data on the way out).
+ */
+
+const { MEASUREMENT_METRICS } = require('./measurements');
+
+const UNIT_SYSTEMS = ['metric', 'imperial'];
+const DEFAULT_UNIT_SYSTEM = 'metric';
+
+// Stored (metric) unit and imperial unit per quantity
+// perMetric = imperial units per stored unit; places = decimals shown / kept when storing
+const QUANTITIES = {
+  mass: { metric: 'kg', imperial: 'lb', perMetric: 2.20462262, places: 1, storedPlaces: 2 },
+  length: { metric: 'cm', imperial: 'in', perMetric: 1 / 2.54, places: 1, storedPlaces: 1 },
+  distance: { metric: 'km', imperial: 'mi', perMetric: 0.621371192, places: 2, storedPlaces: 3 },
+  volume: { metric: 'ml', imperial: 'fl_oz', perMetric: 1 / 29.5735, places: 1, storedPlaces: 0 }
+};
+
+const QUANTITY_BY_METRIC_UNIT = Object.fromEntries(
+  Object.entries(QUANTITIES).map(([quantity, { metric }]) => [metric, quantity])
+);
+
+// Fields holding a quantity, per kind of document
+const ENTRY_UNIT_FIELDS = { waterIntake: 'volume' };
+const WORKOUT_SESSION_UNIT_FIELDS = { distanceKm: 'distance' };
+const WATER_EVENT_UNIT_FIELDS = { volumeMl: 'volume' };
+const GOAL_UNIT_FIELDS = { waterIntake: 'volume' };
+const PROFILE_UNIT_FIELDS = { heightCm: 'length' };
+const MEASUREMENT_UNIT_FIELDS = Object.fromEntries(
+  Object.entries(MEASUREMENT_METRICS)
+    .filter(([, { unit }]) => QUANTITY_BY_METRIC_UNIT[unit])
+    .map(([field, { unit }]) => [field, QUANTITY_BY_METRIC_UNIT[unit]])
+);
+// Stats metrics whose avg/min/max/total are quantities
+const STAT_UNIT_METRICS = ENTRY_UNIT_FIELDS;
+
+const isImperial = (system) => system === 'imperial';
+
+const round = (value, places) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Unit of one quantity in a unit system
+ */
+const unitOf = (quantity, system) => QUANTITIES[quantity][isImperial(system) ? 'imperial' : 'metric'];
+
+/**
+ * Units of all quantities in a unit system, as stated in responses
+ */
+const unitsFor = (system = DEFAULT_UNIT_SYSTEM) => Object.fromEntries(
+  Object.keys(QUANTITIES).map((quantity) => [quantity, unitOf(quantity, system)])
+);
+
+/**
+ * Stored value -> the user's unit system
+ * Anything that isn't a number (null, undefined) passes through
+ */
+const toUnits = (value, quantity, system) => {
+  if (!isImperial(system) || typeof value !== 'number') return value;
+  const { perMetric, places } = QUANTITIES[quantity];
+  return round(value * perMetric, places);
+};
+
+/**
+ * Value in the user's unit system -> stored value
+ * Numeric strings (CSV cells, query strings) are converted too; anything else is left for validation to reject
+ */
+const fromUnits = (value, quantity, system) => {
+  if (!isImperial(system) || value === null || value === '' || typeof value === 'boolean') return value;
+  const number = Number(value);
+  if (!Number.isFinite(number)) return value;
+
+  const { perMetric, storedPlaces } = QUANTITIES[quantity];
+  return round(number / perMetric, storedPlaces);
+};
+
+/**
+ * Copy of an object with the listed fields converted by `convert`
+ */
+const convertFields = (source, fields, convert) => {
+  const converted = { ...source };
+  Object.entries(fields).forEach(([field, quantity]) => {
+    if (converted[field] !== undefined) converted[field] = convert(converted[field], quantity);
+  });
+  return converted;
+};
+
+const plain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+/**
+ * Entry (document or lean object) with its quantities in the user's units
+ */
+const entryToUnits = (entry, system) => {
+  if (!isImperial(system) || !entry) return entry;
+
+  const toUser = (value, quantity) => toUnits(value, quantity, system);
+  const converted = convertFields(plain(entry), ENTRY_UNIT_FIELDS, toUser);
+  if (converted.workoutSessions) {
+    converted.workoutSessions = converted.workoutSessions
+      .map((session) => convertFields(session, WORKOUT_SESSION_UNIT_FIELDS, toUser));
+  }
+  if (converted.waterEvents) {
+    converted.waterEvents = converted.waterEvents
+      .map((event) => convertFields(event, WATER_EVENT_UNIT_FIELDS, toUser));
+  }
+  return converted;
+};
+
+/**
+ * Entry fields from a request body (or import row) converted to stored units
+ */
+const entryFromUnits = (fields, system) => {
+  if (!isImperial(system) || !fields || typeof fields !== 'object') return fields;
+
+  const toStored = (value, quantity) => fromUnits(value, quantity, system);
+  const converted = convertFields(fields, ENTRY_UNIT_FIELDS, toStored);
+  if (Array.isArray(converted.workoutSessions)) {
+    converted.workoutSessions = converted.workoutSessions.map((session) => (session && typeof session === 'object'
+      ? convertFields(session, WORKOUT_SESSION_UNIT_FIELDS, toStored)
+      : session));
+  }
+  return converted;
+};
+
+/**
+ * Single workout session body -> stored units
+ */
+const workoutSessionFromUnits = (fields, system) => (isImperial(system) && fields
+  ? convertFields(fields, WORKOUT_SESSION_UNIT_FIELDS, (value, quantity) => fromUnits(value, quantity, system))
+  : fields);
+
+/**
+ * Single workout session (document or object) -> the user's units
+ */
+const workoutSessionToUnits = (session, system) => (isImperial(system) && session
+  ? convertFields(plain(session), WORKOUT_SESSION_UNIT_FIELDS, (value, quantity) => toUnits(value, quantity, system))
+  : session);
+
+/**
+ * Water event or preset (document or object) -> the user's units
+ */
+const waterVolumeToUnits = (event, system) => (isImperial(system) && event
+  ? convertFields(plain(event), WATER_EVENT_UNIT_FIELDS, (value, quantity) => toUnits(value, quantity, system))
+  : event);
+
+/**
+ * Goal progress ({ waterIntake: { value, target, ... } }) -> the user's units
+ */
+const progressToUnits = (progress, system) => {
+  if (!isImperial(system) || !progress) return progress;
+
+  const converted = { ...progress };
+  Object.entries(STAT_UNIT_METRICS).forEach(([metric, quantity]) => {
+    if (!converted[metric]) return;
+    converted[metric] = {
+      ...converted[metric],
+      value: toUnits(converted[metric].value, quantity, system),
+      target: toUnits(converted[metric].target, quantity, system)
+    };
+  });
+  return converted;
+};
+
+/**
+ * getEntryStats result (with or without goal progress) -> the user's units
+ */
+const statsToUnits = (stats, system) => {
+  if (!isImperial(system)) return stats;
+
+  const convertGroup = (group) => {
+    const converted = { ...group };
+    Object.entries(STAT_UNIT_METRICS).forEach(([metric, quantity]) => {
+      if (!converted[metric]) return;
+      const figures = { ...converted[metric] };
+      ['avg', 'min', 'max', 'total'].forEach((figure) => {
+        if (figure in figures) figures[figure] = toUnits(figures[figure], quantity, system);
+      });
+      converted[metric] = figures;
+    });
+    if (converted.goals) converted.goals = progressToUnits(converted.goals, system);
+    return converted;
+  };
+
+  return {
+    ...stats,
+    buckets: stats.buckets.map(convertGroup),
+    summary: convertGroup(stats.summary)
+  };
+};
+
+/**
+ * hourlyWater result -> the user's units
+ */
+const hourlyToUnits = (hourly, system) => (isImperial(system)
+  ? hourly.map((hour) => ({ ...hour, volumeMl: toUnits(hour.volumeMl, 'volume', system) }))
+  : hourly);
+
+/**
+ * summarizeWater result -> the user's units
+ */
+const waterSummaryToUnits = (summary, system) => {
+  if (!isImperial(system)) return summary;
+
+  return {
+    ...summary,
+    totalMl: toUnits(summary.totalMl, 'volume', system),
+    events: summary.events.map((event) => waterVolumeToUnits(event, system)),
+    hourly: hourlyToUnits(summary.hourly, system)
+  };
+};
+
+/**
+ * Water amount body (quick-add or preset) with `unit` defaulting to the user's volume unit
+ */
+const waterAmountFromUnits = (fields, system) => (fields && fields.unit === undefined
+  ? { ...fields, unit: unitOf('volume', system) }
+  : fields);
+
+/**
+ * Measurement (document or object) -> the user's units
+ */
+const measurementToUnits = (measurement, system) => (isImperial(system) && measurement
+  ? convertFields(plain(measurement), MEASUREMENT_UNIT_FIELDS, (value, quantity) => toUnits(value, quantity, system))
+  : measurement);
+
+/**
+ * Measurement fields from a request body -> stored units
+ */
+const measurementFromUnits = (fields, system) => (isImperial(system) && fields
+  ? convertFields(fields, MEASUREMENT_UNIT_FIELDS, (value, quantity) => fromUnits(value, quantity, system))
+  : fields);
+
+/**
+ * buildTrend result -> the user's units (BMI is unitless)
+ */
+const trendToUnits = (trend, system) => {
+  const quantity = MEASUREMENT_UNIT_FIELDS[trend.metric];
+  if (!isImperial(system) || !quantity) return trend;
+
+  const convert = (value) => toUnits(value, quantity, system);
+  return {
+    ...trend,
+    unit: unitOf(quantity, system),
+    points: trend.points.map((point) => ({ ...point, value: convert(point.value), trend: convert(point.trend) })),
+    change: convert(trend.change)
+  };
+};
+
+/**
+ * summarizeLatest result -> the user's units
+ */
+const latestToUnits = (summary, system) => {
+  if (!isImperial(system)) return summary;
+
+  const latest = {};
+  Object.entries(summary.latest).forEach(([field, reading]) => {
+    const quantity = MEASUREMENT_UNIT_FIELDS[field];
+    latest[field] = reading && quantity
+      ? { ...reading, value: toUnits(reading.value, quantity, system), unit: unitOf(quantity, system) }
+      : reading;
+  });
+
+  return { ...summary, latest, heightCm: toUnits(summary.heightCm, 'length', system) };
+};
+
+/**
+ * Goal version (document or object) -> the user's units
+ */
+const goalToUnits = (goal, system) => (isImperial(system) && goal
+  ? convertFields(plain(goal), GOAL_UNIT_FIELDS, (value, quantity) => toUnits(value, quantity, system))
+  : goal);
+
+/**
+ * Goal targets from a request body -> stored units
+ */
+const goalFromUnits = (fields, system) => (isImperial(system) && fields
+  ? convertFields(fields, GOAL_UNIT_FIELDS, (value, quantity) => fromUnits(value, quantity, system))
+  : fields);
+
+/**
+ * Profile fields from a request body -> stored units
+ * A body that also changes `unitSystem` is read in the new system
+ */
+const profileFromUnits = (fields, system) => {
+  const bodySystem = UNIT_SYSTEMS.includes(fields?.unitSystem) ? fields.unitSystem : system;
+  return isImperial(bodySystem) && fields
+    ? convertFields(fields, PROFILE_UNIT_FIELDS, (value, quantity) => fromUnits(value, quantity, bodySystem))
+    : fields;
+};
+
+/**
+ * Stored profile values -> the user's units (only `heightCm` is a quantity)
+ */
+const profileToUnits = (profile, system) => (isImperial(system)
+  ? convertFields(profile, PROFILE_UNIT_FIELDS, (value, quantity) => toUnits(value, quantity, system))
+  : profile);
+
+module.exports = {
+  UNIT_SYSTEMS,
+  DEFAULT_UNIT_SYSTEM,
+  QUANTITIES,
+  unitsFor,
+  unitOf,
+  toUnits,
+  fromUnits,
+  entryToUnits,
+  entryFromUnits,
+  workoutSessionToUnits,
+  workoutSessionFromUnits,
+  waterVolumeToUnits,
+  progressToUnits,
+  statsToUnits,
+  hourlyToUnits,
+  waterSummaryToUnits,
+  waterAmountFromUnits,
+  measurementToUnits,
+  measurementFromUnits,
+  trendToUnits,
+  latestToUnits,
+  goalToUnits,
+  goalFromUnits,
+  profileFromUnits,
+  profileToUnits
+};
@@ -3,9 +3,54 @@
  * Centralized validation schemas for express-validator
  */
 
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
+const { decodeCursor } = require('./pagination');
+const { isValidTimezone, addDays } = require('./dates');
+const { UNIT_SYSTEMS } = require('./units');
+const { MAX_SESSION_LABEL_LENGTH } = require('./sessions');
+const { TOKEN_BYTES } = require('./tokens');
+const { STAT_METRICS, GRANULARITIES } = require('./stats');
+const { NUTRIENTS, SERVING_UNITS } = require('./nutrition');
+const { ACTIVITY_TYPES, INTENSITIES } = require('./workouts');
+const { SLEEP_TYPES, MAX_SESSION_HOURS } = require('./sleep');
+const { MAX_SAMPLES_PER_BATCH } = require('./heartRate');
+const { SYMPTOM_NAMES, MAX_SYMPTOMS_PER_DAY, normalizeSymptomName } = require('./symptoms');
+const {
+  MOOD_LEVELS,
+  MIN_MOOD_SCORE,
+  MAX_MOOD_SCORE,
+  MAX_TAGS_PER_CHECK_IN,
+  MAX_TAG_LENGTH,
+  MAX_JOURNAL_LENGTH,
+  normalizeTag
+} = require('./mood');
+const { WATER_UNITS, MAX_DRINK_ML, MAX_PRESET_NAME_LENGTH, toMillilitres } = require('./water');
+const { MEASUREMENT_METRICS, MEASUREMENT_FIELDS, MAX_TREND_WINDOW_DAYS } = require('./measurements');
+const {
+  MEDICATION_KINDS,
+  DOSE_UNITS,
+  DOSE_STATUSES,
+  SCHEDULE_TYPES,
+  MAX_DOSES_PER_DAY,
+  TIME_OF_DAY,
+  MAX_START_DATE_AGE_DAYS
+} = require('./medications');
 
 // ===== AUTH VALIDATORS =====
+// Optional device name for the session a login starts
+const sessionLabelValidator = body('label')
+  .optional()
+  .trim()
+  .isLength({ min: 1, max: MAX_SESSION_LABEL_LENGTH })
+  .withMessage(`Label must be 1-${MAX_SESSION_LABEL_LENGTH} characters`);
+
+// Rules for a password being set (register, reset)
+const newPasswordValidator = body('password')
+  .isLength({ min: 6, max: 128 })
+  .withMessage('Password must be 6-128 characters')
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .withMessage('Password must contain uppercase, lowercase, and number');
+
 const registerValidator = [
   body('name')
     .trim()
@@ -17,11 +62,16 @@ const registerValidator = [
     .isEmail()
     .normalizeEmail()
     .withMessage('Valid email is required'),
-  body('password')
-    .isLength({ min: 6, max: 128 })
-    .withMessage('Password must be 6-128 characters')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain uppercase, lowercase, and number')
+  newPasswordValidator,
+  body('timezone')
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage('Timezone must be a valid IANA timezone'),
+  body('unitSystem')
+    .optional()
+    .isIn(UNIT_SYSTEMS)
+    .withMessage(`unitSystem must be one of: ${UNIT_SYSTEMS.join(', ')}`),
+  sessionLabelValidator
 ];
 
 const loginValidator = [
@@ -31,7 +81,8 @@ const loginValidator = [
     .withMessage('Valid email is required'),
   body('password')
     .notEmpty()
-    .withMessage('Password is required')
+    .withMessage('Password is required'),
+  sessionLabelValidator
 ];
 
 const refreshTokenValidator = [
@@ -41,24 +92,161 @@ const refreshTokenValidator = [
     .withMessage('Refresh token is required')
 ];
 
+const forgotPasswordValidator = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email is required')
+];
+
+const resetPasswordValidator = [
+  body('token')
+    .trim()
+    .isHexadecimal()
+    .withMessage('Invalid reset token')
+    .bail()
+    .isLength({ min: TOKEN_BYTES * 2, max: TOKEN_BYTES * 2 })
+    .withMessage('Invalid reset token'),
+  newPasswordValidator
+];
+
+const verifyEmailValidator = [
+  query('token')
+    .trim()
+    .isHexadecimal()
+    .withMessage('Invalid verification token')
+    .bail()
+    .isLength({ min: TOKEN_BYTES * 2, max: TOKEN_BYTES * 2 })
+    .withMessage('Invalid verification token')
+];
+
+const updateProfileValidator = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be 2-100 characters'),
+  body('timezone')
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage('Timezone must be a valid IANA timezone'),
+  body('unitSystem')
+    .optional()
+    .isIn(UNIT_SYSTEMS)
+    .withMessage(`unitSystem must be one of: ${UNIT_SYSTEMS.join(', ')}`),
+  body('heightCm')
+    .optional({ values: 'null' })
+    .isFloat({ min: 50, max: 272 })
+    .toFloat()
+    .withMessage('heightCm must be 50-272')
+];
+
+const sessionIdValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid session ID')
+];
+
 // ===== ENTRIES VALIDATORS =====
-const createEntryValidator = [
-  body('date')
-    .isISO8601()
-    .toDate()
-    .withMessage('Valid date is required'),
+// Sleep sessions, samples and symptom onsets need real instants (a date alone has no time)
+const isTimestamp = (value) => /T\d{2}:\d{2}/.test(value);
+
+// Optional nutrient fields; `prefix` is '' for a single item or 'foodIntake.*.' for
+// items inside an entry body. null clears a value.
+const nutrientValidators = (prefix) => Object.entries(NUTRIENTS).map(([field, { unit, max }]) => (
+  body(`${prefix}${field}`)
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max })
+    .withMessage(`${field} must be 0-${max} ${unit}`)
+));
+
+// Optional nutrient and serving fields of a food item
+const foodDetailValidators = (prefix) => [
+  ...nutrientValidators(prefix),
+  body(`${prefix}servingSize`)
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 10000 })
+    .withMessage('servingSize must be 0-10000'),
+  body(`${prefix}servingUnit`)
+    .optional({ values: 'null' })
+    .isIn(SERVING_UNITS)
+    .withMessage(`servingUnit must be one of: ${SERVING_UNITS.join(', ')}`),
+  body(`${prefix}quantity`)
+    .optional()
+    .isFloat({ gt: 0, max: 100 })
+    .toFloat()
+    .withMessage('quantity must be greater than 0 and at most 100')
+];
+
+// Workout session fields; `prefix` is '' for a single session or 'workoutSessions.*.'
+// inside an entry body. `required` makes activity and duration mandatory.
+const workoutSessionValidators = (prefix, required) => {
+  const presence = (chain) => (required ? chain : chain.optional());
+
+  return [
+    presence(body(`${prefix}activity`))
+      .isIn(ACTIVITY_TYPES)
+      .withMessage(`activity must be one of: ${ACTIVITY_TYPES.join(', ')}`),
+    presence(body(`${prefix}durationMinutes`))
+      .isFloat({ min: 1, max: 1440 })
+      .withMessage('durationMinutes must be 1-1440'),
+    body(`${prefix}intensity`)
+      .optional({ values: 'null' })
+      .isIn(INTENSITIES)
+      .withMessage(`intensity must be one of: ${INTENSITIES.join(', ')}`),
+    body(`${prefix}distanceKm`)
+      .optional({ values: 'null' })
+      .isFloat({ min: 0, max: 1000 })
+      .withMessage('distanceKm must be 0-1000'),
+    body(`${prefix}heartRateZone`)
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: 5 })
+      .withMessage('heartRateZone must be 1-5'),
+    body(`${prefix}caloriesBurned`)
+      .optional({ values: 'null' })
+      .isFloat({ min: 0, max: 10000 })
+      .withMessage('caloriesBurned must be 0-10000')
+  ];
+};
+
+// Field rules shared by every endpoint that writes an entry body
+const entryFieldValidators = [
   body('calories')
     .optional()
     .isInt({ min: 0, max: 10000 })
     .withMessage('Calories must be 0-10000'),
+  body('caloriesOverride')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('caloriesOverride must be boolean'),
   body('sleep')
     .optional()
     .isFloat({ min: 0, max: 24 })
     .withMessage('Sleep must be 0-24 hours'),
+  body('heartRate')
+    .optional()
+    .isFloat({ min: 0, max: 220 })
+    .withMessage('Heart rate must be 0-220 bpm'),
+  body('steps')
+    .optional()
+    .isInt({ min: 0, max: 100000 })
+    .withMessage('Steps must be 0-100000'),
+  // Checked after conversion to ml (see middleware/unitPreference.js)
+  body('waterIntake')
+    .optional()
+    .isFloat({ min: 0, max: 20000 })
+    .withMessage('Water intake must be 0-20000 ml'),
   body('workouts')
     .optional()
     .isBoolean()
-    .withMessage('Workouts must be boolean'),
+    .withMessage('Workouts must be boolean')
+    .toBoolean(),
+  body('workoutSessions')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('workoutSessions must be an array of at most 20 sessions'),
+  ...workoutSessionValidators('workoutSessions.*.', true),
   body('foodIntake')
     .optional()
     .isArray()
@@ -76,7 +264,302 @@ const createEntryValidator = [
   body('foodIntake.*.calories')
     .optional()
     .isInt({ min: 0, max: 5000 })
-    .withMessage('Food calories must be 0-5000')
+    .withMessage('Food calories must be 0-5000'),
+  ...foodDetailValidators('foodIntake.*.'),
+  body('mood')
+    .optional()
+    .isIn(MOOD_LEVELS)
+    .withMessage(`mood must be one of: ${MOOD_LEVELS.join(', ')}`),
+  // Plain strings (the old format) are accepted as unrated symptoms
+  body('symptoms')
+    .optional()
+    .isArray({ max: MAX_SYMPTOMS_PER_DAY })
+    .withMessage(`symptoms must be an array of at most ${MAX_SYMPTOMS_PER_DAY} symptoms`)
+    .bail()
+    .customSanitizer((symptoms) => symptoms.map((symptom) => (
+      typeof symptom === 'string' ? { name: symptom } : symptom
+    ))),
+  body('symptoms.*.name')
+    .custom((name) => typeof name === 'string' && normalizeSymptomName(name) !== null)
+    .withMessage('Unknown symptom; see GET /insights/symptoms for the vocabulary')
+    .customSanitizer(normalizeSymptomName),
+  body('symptoms.*.severity')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .toInt()
+    .withMessage('Symptom severity must be 1-10'),
+  body('symptoms.*.onsetAt')
+    .optional()
+    .isISO8601()
+    .custom(isTimestamp)
+    .withMessage('Symptom onsetAt must be an ISO 8601 timestamp'),
+  body('symptoms.*.notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Symptom notes max 500 characters')
+];
+
+// Either a free-text item (food + calories) or a library food by `foodId`
+const foodItemValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid entry ID'),
+  body('meal')
+    .trim()
+    .isIn(['breakfast', 'lunch', 'dinner', 'snack'])
+    .withMessage('Meal must be breakfast, lunch, dinner, or snack'),
+  body('foodId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid food ID'),
+  body('food')
+    .if(body('foodId').not().exists())
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Food description must be 1-200 characters'),
+  body('calories')
+    .if(body('foodId').not().exists())
+    .isInt({ min: 0, max: 5000 })
+    .withMessage('Food calories must be 0-5000'),
+  ...foodDetailValidators('')
+];
+
+const updateFoodItemValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid entry ID'),
+  param('itemId')
+    .isMongoId()
+    .withMessage('Invalid food item ID'),
+  body('meal')
+    .optional()
+    .trim()
+    .isIn(['breakfast', 'lunch', 'dinner', 'snack'])
+    .withMessage('Meal must be breakfast, lunch, dinner, or snack'),
+  body('food')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Food description must be 1-200 characters'),
+  body('calories')
+    .optional()
+    .isInt({ min: 0, max: 5000 })
+    .withMessage('Food calories must be 0-5000'),
+  ...foodDetailValidators('')
+];
+
+const foodItemIdValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid entry ID'),
+  param('itemId')
+    .isMongoId()
+    .withMessage('Invalid food item ID')
+];
+
+const workoutSessionValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid entry ID'),
+  ...workoutSessionValidators('', true)
+];
+
+const updateWorkoutSessionValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid entry ID'),
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid workout session ID'),
+  ...workoutSessionValidators('', false)
+];
+
+const workoutSessionIdValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid entry ID'),
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid workout session ID')
+];
+
+// Optional sleep session fields shared by create and update
+const sleepSessionDetailValidators = [
+  body('type')
+    .optional()
+    .isIn(SLEEP_TYPES)
+    .withMessage(`type must be one of: ${SLEEP_TYPES.join(', ')}`),
+  body('awakenings')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 50 })
+    .withMessage('awakenings must be 0-50'),
+  body('quality')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 5 })
+    .withMessage('quality must be 1-5')
+];
+
+const sleepSessionValidator = [
+  body('startedAt')
+    .isISO8601()
+    .custom(isTimestamp)
+    .withMessage('startedAt must be an ISO 8601 timestamp'),
+  body('endedAt')
+    .isISO8601()
+    .custom(isTimestamp)
+    .withMessage('endedAt must be an ISO 8601 timestamp')
+    .custom((endedAt, { req }) => {
+      const hours = (new Date(endedAt) - new Date(req.body.startedAt)) / 3600000;
+      return hours > 0 && hours <= MAX_SESSION_HOURS;
+    })
+    .withMessage(`endedAt must be after startedAt and at most ${MAX_SESSION_HOURS} hours later`),
+  ...sleepSessionDetailValidators
+];
+
+// The start/end pair is checked against the stored session in the route
+const updateSleepSessionValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid entry ID'),
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid sleep session ID'),
+  body('startedAt')
+    .optional()
+    .isISO8601()
+    .custom(isTimestamp)
+    .withMessage('startedAt must be an ISO 8601 timestamp'),
+  body('endedAt')
+    .optional()
+    .isISO8601()
+    .custom(isTimestamp)
+    .withMessage('endedAt must be an ISO 8601 timestamp'),
+  ...sleepSessionDetailValidators
+];
+
+const sleepSessionIdValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid entry ID'),
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid sleep session ID')
+];
+
+// Optional mood check-in fields shared by create and update
+const moodCheckInDetailValidators = [
+  body('at')
+    .optional()
+    .isISO8601()
+    .custom(isTimestamp)
+    .withMessage('at must be an ISO 8601 timestamp'),
+  body('tags')
+    .optional({ values: 'null' })
+    .isArray({ max: MAX_TAGS_PER_CHECK_IN })
+    .withMessage(`tags must be an array of at most ${MAX_TAGS_PER_CHECK_IN} tags`),
+  body('tags.*')
+    .isString()
+    .customSanitizer(normalizeTag)
+    .isLength({ min: 1, max: MAX_TAG_LENGTH })
+    .withMessage(`Each tag must be 1-${MAX_TAG_LENGTH} characters`),
+  body('journal')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: MAX_JOURNAL_LENGTH })
+    .withMessage(`journal max ${MAX_JOURNAL_LENGTH} characters`)
+];
+
+const moodCheckInValidator = [
+  body('score')
+    .isInt({ min: MIN_MOOD_SCORE, max: MAX_MOOD_SCORE })
+    .toInt()
+    .withMessage(`score must be ${MIN_MOOD_SCORE}-${MAX_MOOD_SCORE}`),
+  ...moodCheckInDetailValidators
+];
+
+const updateMoodCheckInValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid entry ID'),
+  param('checkInId')
+    .isMongoId()
+    .withMessage('Invalid mood check-in ID'),
+  body('score')
+    .optional()
+    .isInt({ min: MIN_MOOD_SCORE, max: MAX_MOOD_SCORE })
+    .toInt()
+    .withMessage(`score must be ${MIN_MOOD_SCORE}-${MAX_MOOD_SCORE}`),
+  ...moodCheckInDetailValidators
+];
+
+const moodCheckInIdValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid entry ID'),
+  param('checkInId')
+    .isMongoId()
+    .withMessage('Invalid mood check-in ID')
+];
+
+// A volume as `amount` in `unit` (ml by default), 1 ml to MAX_DRINK_ML once converted
+const waterAmountValidators = (presence) => [
+  presence(body('amount'))
+    .isFloat({ gt: 0 })
+    .withMessage('amount must be a number greater than 0')
+    .bail()
+    .toFloat()
+    .custom((amount, { req }) => {
+      const unit = req.body.unit || 'ml';
+      // An unknown unit is reported by the unit rule
+      if (!WATER_UNITS[unit]) return true;
+      const volumeMl = toMillilitres(amount, unit);
+      return volumeMl >= 1 && volumeMl <= MAX_DRINK_ML;
+    })
+    .withMessage(`amount must be between 1 and ${MAX_DRINK_ML} ml`),
+  body('unit')
+    .optional()
+    .isIn(Object.keys(WATER_UNITS))
+    .withMessage(`unit must be one of: ${Object.keys(WATER_UNITS).join(', ')}`)
+];
+
+// Either an amount or a preset
+const waterEventValidator = [
+  body('preset')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid preset ID')
+    .custom((preset, { req }) => req.body.amount === undefined)
+    .withMessage('Send either amount or preset, not both'),
+  ...waterAmountValidators((chain) => chain.if(body('preset').not().exists())),
+  body('at')
+    .optional()
+    .isISO8601()
+    .custom(isTimestamp)
+    .withMessage('at must be an ISO 8601 timestamp')
+];
+
+const waterEventIdValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid entry ID'),
+  param('eventId')
+    .isMongoId()
+    .withMessage('Invalid water event ID')
+];
+
+const createEntryValidator = [
+  body('date')
+    .isISO8601()
+    .withMessage('Valid date is required'),
+  ...entryFieldValidators
+];
+
+const upsertEntryByDateValidator = [
+  param('date')
+    .isISO8601()
+    .withMessage('Valid date is required'),
+  ...entryFieldValidators
 ];
 
 const updateEntryValidator = [
@@ -86,12 +569,521 @@ const updateEntryValidator = [
   ...createEntryValidator
 ];
 
+// Optional ?from&to day range shared by list, export and aggregate endpoints
+const dateRangeValidators = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid date')
+    .custom((to, { req }) => !req.query.from || new Date(to) >= new Date(req.query.from))
+    .withMessage('to must not be before from')
+];
+
+const listMoodCheckInsValidator = [
+  ...dateRangeValidators,
+  query('tag')
+    .optional()
+    .customSanitizer(normalizeTag)
+    .isLength({ min: 1, max: MAX_TAG_LENGTH })
+    .withMessage(`tag must be 1-${MAX_TAG_LENGTH} characters`)
+];
+
+const listEntriesValidator = [
+  ...dateRangeValidators,
+  query('sort')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('sort must be asc or desc'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .toInt()
+    .withMessage('limit must be 1-100'),
+  query('cursor')
+    .optional()
+    .custom((cursor) => decodeCursor(cursor) !== null)
+    .withMessage('Invalid cursor')
+];
+
+const exportEntriesValidator = [
+  ...dateRangeValidators,
+  query('format')
+    .optional()
+    .isIn(['csv', 'json', 'fhir'])
+    .withMessage('format must be csv, json, or fhir')
+];
+
+const entryStatsValidator = [
+  ...dateRangeValidators,
+  query('granularity')
+    .optional()
+    .isIn(GRANULARITIES)
+    .withMessage(`granularity must be one of: ${GRANULARITIES.join(', ')}`),
+  query('metrics')
+    .optional()
+    .custom((metrics) => String(metrics).split(',').every((metric) => STAT_METRICS.includes(metric.trim())))
+    .withMessage(`metrics must be a comma-separated list of: ${STAT_METRICS.join(', ')}`)
+    .customSanitizer((metrics) => [...new Set(String(metrics).split(',').map((metric) => metric.trim()))])
+];
+
+const importEntriesValidator = [
+  query('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('format must be csv or json'),
+  query('onConflict')
+    .optional()
+    .isIn(['skip', 'overwrite', 'merge'])
+    .withMessage('onConflict must be skip, overwrite, or merge'),
+  query('dryRun')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('dryRun must be boolean')
+];
+
 const deleteEntryValidator = [
   param('id')
     .isMongoId()
     .withMessage('Invalid entry ID')
 ];
 
+// ===== HEART RATE VALIDATORS =====
+// Longest span GET /heart-rate/samples returns in one call
+const MAX_SAMPLE_RANGE_DAYS = 7;
+
+const heartRateSamplesValidator = [
+  body('samples')
+    .isArray({ min: 1, max: MAX_SAMPLES_PER_BATCH })
+    .withMessage(`samples must be an array of 1-${MAX_SAMPLES_PER_BATCH} readings`),
+  body('samples.*.timestamp')
+    .isISO8601()
+    .custom(isTimestamp)
+    .withMessage('Sample timestamp must be an ISO 8601 timestamp'),
+  body('samples.*.bpm')
+    .isFloat({ min: 20, max: 250 })
+    .toFloat()
+    .withMessage('Sample bpm must be 20-250'),
+  body('source')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('source must be 1-50 characters')
+];
+
+const heartRateSamplesQueryValidator = [
+  query('from')
+    .isISO8601()
+    .withMessage('from must be a valid date or timestamp'),
+  query('to')
+    .isISO8601()
+    .withMessage('to must be a valid date or timestamp')
+    .custom((to, { req }) => {
+      const span = new Date(to) - new Date(req.query.from);
+      return span >= 0 && span <= MAX_SAMPLE_RANGE_DAYS * 24 * 60 * 60 * 1000;
+    })
+    .withMessage(`to must be after from and at most ${MAX_SAMPLE_RANGE_DAYS} days later`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 10000 })
+    .toInt()
+    .withMessage('limit must be 1-10000')
+];
+
+const heartRateDailyValidator = [
+  ...dateRangeValidators
+];
+
+// ===== FOOD LIBRARY VALIDATORS =====
+const foodSearchValidator = [
+  query('q')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('q must be 1-100 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .toInt()
+    .withMessage('limit must be 1-50')
+];
+
+const recentFoodsValidator = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .toInt()
+    .withMessage('limit must be 1-50')
+];
+
+// Custom food values are per serving
+const foodBodyValidators = (required) => {
+  const presence = (chain) => (required ? chain : chain.optional());
+
+  return [
+    presence(body('name'))
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Name must be 1-200 characters'),
+    body('brand')
+      .optional({ values: 'null' })
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Brand max 100 characters'),
+    presence(body('servingSize'))
+      .isFloat({ gt: 0, max: 10000 })
+      .withMessage('servingSize must be greater than 0 and at most 10000'),
+    presence(body('servingUnit'))
+      .isIn(SERVING_UNITS)
+      .withMessage(`servingUnit must be one of: ${SERVING_UNITS.join(', ')}`),
+    presence(body('calories'))
+      .isFloat({ min: 0, max: 5000 })
+      .withMessage('Calories per serving must be 0-5000'),
+    ...nutrientValidators('')
+  ];
+};
+
+const createFoodValidator = foodBodyValidators(true);
+
+const updateFoodValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid food ID'),
+  ...foodBodyValidators(false)
+];
+
+const foodIdValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid food ID')
+];
+
+// ===== WATER PRESET VALIDATORS =====
+const waterPresetBodyValidators = (required) => {
+  const presence = (chain) => (required ? chain : chain.optional());
+
+  return [
+    presence(body('name'))
+      .trim()
+      .isLength({ min: 1, max: MAX_PRESET_NAME_LENGTH })
+      .withMessage(`Name must be 1-${MAX_PRESET_NAME_LENGTH} characters`),
+    ...waterAmountValidators(presence)
+  ];
+};
+
+const createWaterPresetValidator = waterPresetBodyValidators(true);
+
+const updateWaterPresetValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid preset ID'),
+  ...waterPresetBodyValidators(false)
+];
+
+const waterPresetIdValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid preset ID')
+];
+
+// ===== MEASUREMENT VALIDATORS =====
+// Metric values in storage units; null clears a value on update
+const measurementValueValidators = MEASUREMENT_FIELDS.map((field) => {
+  const { unit, min, max } = MEASUREMENT_METRICS[field];
+  return body(field)
+    .optional({ values: 'null' })
+    .isFloat({ min, max })
+    .toFloat()
+    .withMessage(`${field} must be ${min}-${max} ${unit}`);
+});
+
+const measurementBodyValidators = [
+  body('measuredAt')
+    .optional()
+    .isISO8601()
+    .custom(isTimestamp)
+    .withMessage('measuredAt must be an ISO 8601 timestamp'),
+  ...measurementValueValidators,
+  body('notes')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes max 500 characters'),
+  body('linkEntry')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('linkEntry must be a boolean')
+];
+
+const createMeasurementValidator = [
+  ...measurementBodyValidators,
+  body()
+    .custom((value) => MEASUREMENT_FIELDS.some((field) => typeof value[field] === 'number'))
+    .withMessage(`At least one of ${MEASUREMENT_FIELDS.join(', ')} is required`)
+];
+
+const updateMeasurementValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid measurement ID'),
+  ...measurementBodyValidators
+];
+
+const measurementIdValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid measurement ID')
+];
+
+const listMeasurementsValidator = [
+  ...dateRangeValidators,
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .toInt()
+    .withMessage('limit must be 1-1000')
+];
+
+const measurementTrendValidator = [
+  ...dateRangeValidators,
+  query('metric')
+    .optional()
+    .isIn(MEASUREMENT_FIELDS)
+    .withMessage(`metric must be one of: ${MEASUREMENT_FIELDS.join(', ')}`),
+  query('window')
+    .optional()
+    .isInt({ min: 1, max: MAX_TREND_WINDOW_DAYS })
+    .toInt()
+    .withMessage(`window must be 1-${MAX_TREND_WINDOW_DAYS} days`)
+];
+
+// ===== MEDICATION VALIDATORS =====
+// A schedule (default: once daily) is sent whole; `times` is required for a times schedule
+const scheduleValidators = [
+  body('schedule.type')
+    .if(body('schedule').exists())
+    .isIn(SCHEDULE_TYPES)
+    .withMessage(`schedule.type must be one of: ${SCHEDULE_TYPES.join(', ')}`),
+  body('schedule.timesPerDay')
+    .optional()
+    .isInt({ min: 1, max: MAX_DOSES_PER_DAY })
+    .toInt()
+    .withMessage(`schedule.timesPerDay must be 1-${MAX_DOSES_PER_DAY}`),
+  body('schedule.times')
+    .if(body('schedule.type').equals('times'))
+    .isArray({ min: 1, max: MAX_DOSES_PER_DAY })
+    .withMessage(`schedule.times must list 1-${MAX_DOSES_PER_DAY} times for a times schedule`),
+  body('schedule.times.*')
+    .matches(TIME_OF_DAY)
+    .withMessage('schedule.times must be HH:MM clock times')
+];
+
+const medicationBodyValidators = (required) => {
+  const presence = (chain) => (required ? chain : chain.optional());
+
+  return [
+    presence(body('name'))
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be 1-100 characters'),
+    body('kind')
+      .optional()
+      .isIn(MEDICATION_KINDS)
+      .withMessage(`kind must be one of: ${MEDICATION_KINDS.join(', ')}`),
+    body('dose.amount')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0, max: 100000 })
+      .toFloat()
+      .withMessage('dose.amount must be 0-100000'),
+    body('dose.unit')
+      .optional({ values: 'null' })
+      .isIn(DOSE_UNITS)
+      .withMessage(`dose.unit must be one of: ${DOSE_UNITS.join(', ')}`),
+    ...scheduleValidators,
+    body('instructions')
+      .optional({ values: 'null' })
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Instructions max 500 characters'),
+    body('startDate')
+      .optional()
+      .isISO8601()
+      .withMessage('startDate must be a valid date')
+      .bail()
+      .custom((startDate) => new Date(startDate) >= addDays(new Date(), -MAX_START_DATE_AGE_DAYS))
+      .withMessage(`startDate must be within the last ${MAX_START_DATE_AGE_DAYS / 365} years`),
+    body('endDate')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('endDate must be a valid date')
+  ];
+};
+
+const createMedicationValidator = medicationBodyValidators(true);
+
+const updateMedicationValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid medication ID'),
+  ...medicationBodyValidators(false)
+];
+
+const medicationIdValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid medication ID')
+];
+
+const listMedicationsValidator = [
+  query('active')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('active must be a boolean')
+];
+
+const logDoseValidator = [
+  ...medicationIdValidator,
+  body('status')
+    .optional()
+    .isIn(DOSE_STATUSES)
+    .withMessage(`status must be one of: ${DOSE_STATUSES.join(', ')}`),
+  body('takenAt')
+    .optional()
+    .isISO8601()
+    .custom(isTimestamp)
+    .withMessage('takenAt must be an ISO 8601 timestamp'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('date must be a valid date'),
+  body('scheduledTime')
+    .optional()
+    .matches(TIME_OF_DAY)
+    .withMessage('scheduledTime must be an HH:MM clock time'),
+  body('amount')
+    .optional()
+    .isFloat({ min: 0, max: 100000 })
+    .toFloat()
+    .withMessage('amount must be 0-100000'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes max 500 characters')
+];
+
+const listDosesValidator = [
+  ...medicationIdValidator,
+  ...dateRangeValidators
+];
+
+const doseIdValidator = [
+  ...medicationIdValidator,
+  param('doseId')
+    .isMongoId()
+    .withMessage('Invalid dose ID')
+];
+
+const medicationAdherenceValidator = [
+  ...dateRangeValidators,
+  query('granularity')
+    .optional()
+    .isIn(GRANULARITIES)
+    .withMessage(`granularity must be one of: ${GRANULARITIES.join(', ')}`)
+];
+
+// ===== INSIGHT VALIDATORS =====
+// Longest window GET /insights/correlations analyses in one call
+const MAX_CORRELATION_WINDOW_DAYS = 365;
+
+const correlationsValidator = [
+  ...dateRangeValidators,
+  query('from')
+    .optional()
+    .custom((from, { req }) => new Date(req.query.to || Date.now()) - new Date(from)
+      < MAX_CORRELATION_WINDOW_DAYS * 24 * 60 * 60 * 1000)
+    .withMessage(`The window must be at most ${MAX_CORRELATION_WINDOW_DAYS} days`),
+  query('symptom')
+    .optional()
+    .custom((name) => normalizeSymptomName(name) !== null)
+    .withMessage(`symptom must be one of: ${SYMPTOM_NAMES.join(', ')}`)
+    .customSanitizer(normalizeSymptomName),
+  query('lag')
+    .optional()
+    .isInt({ min: 0, max: 7 })
+    .toInt()
+    .withMessage('lag must be 0-7 days')
+];
+
+// ===== GOAL VALIDATORS =====
+const goalBodyValidators = [
+  body('calories')
+    .optional()
+    .isObject()
+    .withMessage('calories must be an object with min and/or max'),
+  body('calories.min')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 10000 })
+    .withMessage('Calorie min must be 0-10000'),
+  body('calories.max')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 10000 })
+    .withMessage('Calorie max must be 0-10000')
+    .custom((max, { req }) => req.body.calories?.min === undefined
+      || req.body.calories?.min === null
+      || Number(max) >= Number(req.body.calories.min))
+    .withMessage('Calorie max must not be below calorie min'),
+  body('sleep')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 24 })
+    .withMessage('Sleep goal must be 0-24 hours'),
+  body('steps')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 100000 })
+    .withMessage('Steps goal must be 0-100000'),
+  body('waterIntake')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 20000 })
+    .withMessage('Water goal must be 0-20000 ml'),
+  body('workoutDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 7 })
+    .withMessage('Workout days goal must be 0-7 per week')
+];
+
+const setGoalValidator = [
+  body('effectiveFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('effectiveFrom must be a valid date'),
+  ...goalBodyValidators
+];
+
+const updateGoalValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid goal ID'),
+  ...goalBodyValidators
+];
+
+const goalIdValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid goal ID')
+];
+
+const currentGoalValidator = [
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('date must be a valid date')
+];
+
 // ===== AI VALIDATORS =====
 const aiChatValidator = [
   body('message')
@@ -112,11 +1104,79 @@ module.exports = {
   registerValidator,
   loginValidator,
   refreshTokenValidator,
+  forgotPasswordValidator,
+  resetPasswordValidator,
+  verifyEmailValidator,
+  updateProfileValidator,
+  sessionIdValidator,
 
   // Entries
+  listEntriesValidator,
   createEntryValidator,
   updateEntryValidator,
+  upsertEntryByDateValidator,
+  importEntriesValidator,
+  exportEntriesValidator,
+  entryStatsValidator,
   deleteEntryValidator,
+  foodItemValidator,
+  updateFoodItemValidator,
+  foodItemIdValidator,
+  workoutSessionValidator,
+  updateWorkoutSessionValidator,
+  workoutSessionIdValidator,
+  sleepSessionValidator,
+  updateSleepSessionValidator,
+  sleepSessionIdValidator,
+  moodCheckInValidator,
+  updateMoodCheckInValidator,
+  moodCheckInIdValidator,
+  listMoodCheckInsValidator,
+  waterEventValidator,
+  waterEventIdValidator,
+
+  // Heart rate
+  heartRateSamplesValidator,
+  heartRateSamplesQueryValidator,
+  heartRateDailyValidator,
+
+  // Food library
+  foodSearchValidator,
+  recentFoodsValidator,
+  createFoodValidator,
+  updateFoodValidator,
+  foodIdValidator,
+
+  // Water presets
+  createWaterPresetValidator,
+  updateWaterPresetValidator,
+  waterPresetIdValidator,
+
+  // Measurements
+  createMeasurementValidator,
+  updateMeasurementValidator,
+  measurementIdValidator,
+  listMeasurementsValidator,
+  measurementTrendValidator,
+
+  // Medications
+  createMedicationValidator,
+  updateMedicationValidator,
+  medicationIdValidator,
+  listMedicationsValidator,
+  logDoseValidator,
+  listDosesValidator,
+  doseIdValidator,
+  medicationAdherenceValidator,
+
+  // Insights
+  correlationsValidator,
+
+  // Goals
+  setGoalValidator,
+  updateGoalValidator,
+  goalIdValidator,
+  currentGoalValidator,
 
   // AI
   aiChatValidator,
@@ -0,0 +1,76 @@
+/**
+ * ✅ PRODUCTION-GRADE: Water Intake Events
+ * Volume units, the daily total derived from individual drinks and the
+ * hour-by-hour distribution for a hydration timeline
+ */
+
+const { getLocalParts } = require('./dates');
+
+// Millilitres per unit; volumes are always stored in ml
+const WATER_UNITS = {
+  ml: 1,
+  l: 1000,
+  fl_oz: 29.5735,
+  cup: 236.588
+};
+
+// Largest single drink or preset, in ml
+const MAX_DRINK_ML = 5000;
+const MAX_PRESETS_PER_USER = 20;
+const MAX_PRESET_NAME_LENGTH = 50;
+
+// Label of the drinks that stand in for a total written before a day's first logged drink
+const EARLIER_WATER_LABEL = 'Earlier total';
+
+/**
+ * Whole millilitres for an amount in one of WATER_UNITS
+ */
+const toMillilitres = (amount, unit = 'ml') => Math.round(amount * WATER_UNITS[unit]);
+
+/**
+ * Daily total of a day's drinks, in ml
+ */
+const totalWater = (events = []) => events.reduce((sum, event) => sum + event.volumeMl, 0);
+
+/**
+ * Drinks per local hour (0-23) of the user's timezone
+ *
+ * @returns {Array<{ hour: number, volumeMl: number, drinks: number }>} always 24 items
+ */
+const hourlyWater = (events = [], timezone) => {
+  const hours = Array.from({ length: 24 }, (_, hour) => ({ hour, volumeMl: 0, drinks: 0 }));
+
+  events.forEach((event) => {
+    const bucket = hours[getLocalParts(event.at, timezone).hour];
+    bucket.volumeMl += event.volumeMl;
+    bucket.drinks += 1;
+  });
+
+  return hours;
+};
+
+/**
+ * The water part of a day: total, drinks (earliest first) and the hourly timeline
+ */
+const summarizeWater = (entry, timezone) => {
+  const events = [...(entry?.waterEvents || [])].sort((a, b) => a.at - b.at);
+
+  return {
+    totalMl: entry?.waterIntake || 0,
+    drinks: events.length,
+    events,
+    hourly: hourlyWater(events, timezone)
+  };
+};
+
+module.exports = {
+  WATER_UNITS,
+  MAX_DRINK_ML,
+  MAX_PRESETS_PER_USER,
+  MAX_PRESET_NAME_LENGTH,
+  EARLIER_WATER_LABEL,
+  toMillilitres,
+  totalWater,
+  hourlyWater,
+  summarizeWater
+};
@@ -0,0 +1,176 @@
+/**
+ * ✅ PRODUCTION-GRADE: Weekly Report Builder
+ * Gathers the last 7 days of data and builds the AI prompt.
+ * Shared by the synchronous /ai/weekly-report route and the AI worker.
+ */
+
+const Entry = require('../models/Entry');
+const { getUserPreferences } = require('./preferences');
+const { todayFor, addDays } = require('./dates');
+const { getEntryStats, getSleepConsistency, getMedicationAdherence } = require('./stats');
+const { NUTRIENT_FIELDS, NUTRIENT_UNITS, sumNutrients, averageNutrients } = require('./nutrition');
+const { MAX_MOOD_SCORE, moodLabel, topTags } = require('./mood');
+
+const REPORT_DAYS = 7;
+const MAX_FOOD_LINES = 20;
+
+/**
+ * Format an average for the prompt, or "not logged" when there is no data
+ */
+const describe = (value, unit) => (value === null ? 'not logged' : `${value} ${unit}`);
+
+/**
+ * "protein 80 g, fat 60 g, ..." for the nutrients that were logged, or "not logged"
+ */
+const describeNutrients = (averages) => {
+  const logged = NUTRIENT_FIELDS
+    .filter((field) => averages[field] !== null)
+    .map((field) => `${field} ${averages[field]} ${NUTRIENT_UNITS[field]}`);
+
+  return logged.length ? logged.join(', ') : 'not logged';
+};
+
+/**
+ * Bedtime/wake-time regularity and sleep debt, for the nights that have them
+ */
+const describeSleepConsistency = ({ bedtime, wakeTime, sleepDebtHours, avgQuality, nights }) => {
+  if (!nights) return 'not logged';
+
+  const parts = [];
+  if (bedtime.avg) parts.push(`average bedtime ${bedtime.avg} (varies by ±${bedtime.stdDevMinutes} min)`);
+  if (wakeTime.avg) parts.push(`average wake time ${wakeTime.avg} (varies by ±${wakeTime.stdDevMinutes} min)`);
+  parts.push(`sleep debt ${sleepDebtHours} hours over ${nights} nights`);
+  if (avgQuality !== null) parts.push(`average quality ${avgQuality}/5`);
+
+  return parts.join(', ');
+};
+
+/**
+ * "Vitamin D 100% (7/7 doses), Ibuprofen as needed (2 taken)" per medication, or "none tracked"
+ */
+const describeAdherence = ({ medications }) => {
+  const tracked = medications.filter((medication) => medication.expected || medication.taken);
+  if (!tracked.length) return 'none tracked';
+
+  return tracked
+    .map((medication) => (medication.expected
+      ? `${medication.name} ${medication.adherencePercent}% (${medication.taken}/${medication.expected} doses)`
+      : `${medication.name} as needed (${medication.taken} taken)`))
+    .join(', ');
+};
+
+/**
+ * "3.6/5 (good) on 5 days from 9 check-ins; frequent tags: work, tired", or "not logged"
+ * Journal notes stay private and are never sent to the AI
+ */
+const describeMood = ({ avg, daysWithData }, entries) => {
+  if (avg === null) return 'not logged';
+
+  const checkIns = entries.flatMap((entry) => entry.moodCheckIns || []);
+  const parts = [`${avg}/${MAX_MOOD_SCORE} (${moodLabel(avg)}) on ${daysWithData} days`];
+  if (checkIns.length) parts.push(`from ${checkIns.length} check-ins`);
+
+  const tags = topTags(checkIns);
+  return tags.length ? `${parts.join(' ')}; frequent tags: ${tags.join(', ')}` : parts.join(' ');
+};
+
+/**
+ * "running 2x / 65 min, walking 1x / 30 min" per activity, busiest first
+ */
+const describeActivities = (entries) => {
+  const activities = new Map();
+  entries.forEach((entry) => {
+    (entry.workoutSessions || []).forEach((session) => {
+      const totals = activities.get(session.activity) || { sessions: 0, minutes: 0 };
+      totals.sessions += 1;
+      totals.minutes += session.durationMinutes;
+      activities.set(session.activity, totals);
+    });
+  });
+
+  if (!activities.size) return 'no session details logged';
+
+  return [...activities.entries()]
+    .sort(([, a], [, b]) => b.minutes - a.minutes)
+    .map(([activity, { sessions, minutes }]) => `${activity} ${sessions}x / ${Math.round(minutes)} min`)
+    .join(', ');
+};
+
+/**
+ * Build the weekly report prompt for a user
+ * Days are counted in the user's timezone; returns null when the week has no entries
+ */
+const buildWeeklyReport = async (userId) => {
+  const { timezone } = await getUserPreferences(userId);
+  const today = todayFor(timezone);
+  const dateRange = { $gte: addDays(today, -(REPORT_DAYS - 1)), $lte: today };
+
+  const [stats, sleepConsistency, adherence, entries] = await Promise.all([
+    getEntryStats(userId, { dateRange }),
+    getSleepConsistency(userId, { dateRange, timezone }),
+    getMedicationAdherence(userId, { dateRange, timezone }),
+    Entry.find({ user: userId, date: dateRange })
+      .sort({ date: 1 })
+      .select('foodIntake workoutSessions moodCheckIns.tags')
+  ]);
+
+  const { summary } = stats;
+  if (!summary.days) return null;
+
+  const nutrients = averageNutrients(entries.map((entry) => sumNutrients(entry.foodIntake)));
+
+  const foodSummary = [];
+  entries.forEach((entry) => {
+    (entry.foodIntake || []).forEach((item) => {
+      foodSummary.push(`${item.meal}: ${item.food} (${item.calories} kcal)`);
+    });
+  });
+
+  const prompt = `
+Weekly health summary (${summary.days} days of data):
+
+- Average daily calories: ${describe(summary.calories.avg, 'kcal')}
+- Average net calories (eaten - burned): ${describe(summary.netCalories.avg, 'kcal')}
+- Average daily nutrients: ${describeNutrients(nutrients)}
+- Average sleep: ${describe(summary.sleep.avg, 'hours')}
+- Sleep consistency: ${describeSleepConsistency(sleepConsistency)}
+- Average steps: ${describe(summary.steps.avg, 'steps')}
+- Average heart rate: ${describe(summary.heartRate.avg, 'bpm')}
+- Average water intake: ${describe(summary.waterIntake.avg, 'ml')}
+- Average mood: ${describeMood(summary.mood, entries)}
+- Workout days: ${summary.workouts.workoutDays} / ${REPORT_DAYS} (${summary.workouts.sessions} sessions, ${summary.workouts.minutes} minutes)
+- Workouts: ${describeActivities(entries)}
+- Average calories burned on workout days: ${describe(summary.caloriesBurned.avg, 'kcal')}
+- Medication & supplement adherence: ${describeAdherence(adherence)}
+- Food intake:
+${foodSummary.slice(0, MAX_FOOD_LINES).join('\n')}
+
+Write a concise, encouraging weekly health report (150-200 words).
+Include:
+1. Positive habits observed
+2. Areas for improvement
+3. One practical lifestyle suggestion
+Avoid medical advice.
+`;
+
+  return {
+    prompt,
+    summary: {
+      avgCalories: summary.calories.avg,
+      avgNutrients: nutrients,
+      avgSleep: summary.sleep.avg,
+      avgMood: summary.mood.avg,
+      sleepDebtHours: sleepConsistency.sleepDebtHours,
+      bedtimeStdDevMinutes: sleepConsistency.bedtime.stdDevMinutes,
+      workoutDays: summary.workouts.workoutDays,
+      workoutMinutes: summary.workouts.minutes,
+      avgCaloriesBurned: summary.caloriesBurned.avg,
+      medicationAdherencePercent: adherence.adherencePercent,
+      totalDays: summary.days
+    }
+  };
+};
+
+module.exports = {
+  buildWeeklyReport
+};
@@ -0,0 +1,102 @@
+/**
+ * ✅ PRODUCTION-GRADE: Workout Sessions & Calories Burned
+ * MET-based energy estimates for workout sessions and the entry-level totals derived from them
+ */
+
+// MET values per activity and intensity (Compendium of Physical Activities)
+const MET_VALUES = {
+  walking: { light: 2.8, moderate: 3.5, vigorous: 5.0 },
+  running: { light: 7.0, moderate: 9.8, vigorous: 11.5 },
+  cycling: { light: 4.0, moderate: 6.8, vigorous: 10.0 },
+  swimming: { light: 5.8, moderate: 7.0, vigorous: 9.8 },
+  strength: { light: 3.5, moderate: 5.0, vigorous: 6.0 },
+  yoga: { light: 2.5, moderate: 3.0, vigorous: 4.0 },
+  hiit: { light: 6.0, moderate: 8.0, vigorous: 10.0 },
+  rowing: { light: 4.8, moderate: 7.0, vigorous: 8.5 },
+  elliptical: { light: 4.6, moderate: 5.0, vigorous: 6.5 },
+  hiking: { light: 5.3, moderate: 6.0, vigorous: 7.8 },
+  dancing: { light: 4.5, moderate: 5.5, vigorous: 7.8 },
+  sports: { light: 4.0, moderate: 6.0, vigorous: 8.0 },
+  other: { light: 3.0, moderate: 4.5, vigorous: 6.0 }
+};
+
+const ACTIVITY_TYPES = Object.keys(MET_VALUES);
+const INTENSITIES = ['light', 'moderate', 'vigorous'];
+
+// Body weight used for estimates; calories burned scale linearly with it
+const REFERENCE_BODY_WEIGHT_KG = 70;
+
+/**
+ * Intensity of a session: as given, else implied by its heart-rate zone (1-5), else moderate
+ */
+const resolveIntensity = (session) => {
+  if (session.intensity) return session.intensity;
+  if (session.heartRateZone >= 4) return 'vigorous';
+  if (session.heartRateZone && session.heartRateZone <= 2) return 'light';
+  return 'moderate';
+};
+
+/**
+ * Estimated kcal for a session: MET x body weight (kg) x duration (h)
+ */
+const estimateCaloriesBurned = (session, bodyWeightKg = REFERENCE_BODY_WEIGHT_KG) => {
+  const met = (MET_VALUES[session.activity] || MET_VALUES.other)[resolveIntensity(session)];
+  return Math.round(met * bodyWeightKg * ((session.durationMinutes || 0) / 60));
+};
+
+/**
+ * Fill in estimated calories for sessions that don't carry a measured value
+ * (e.g. from a device) and total them
+ *
+ * @returns {{ sessions: Object[], caloriesBurned: number }}
+ */
+const summarizeSessions = (sessions = [], bodyWeightKg) => {
+  let caloriesBurned = 0;
+
+  const summarized = sessions.map((session) => {
+    const estimated = session.caloriesBurned === undefined
+      || session.caloriesBurned === null
+      || session.caloriesEstimated === true;
+    const calories = estimated ? estimateCaloriesBurned(session, bodyWeightKg) : session.caloriesBurned;
+
+    caloriesBurned += calories;
+    return { ...session, caloriesBurned: calories, caloriesEstimated: estimated };
+  });
+
+  return { sessions: summarized, caloriesBurned };
+};
+
+/**
+ * Derive workout fields for an entry write that sends `workoutSessions`
+ * Sessions set `caloriesBurned` and turn the legacy `workouts` flag on/off;
+ * writes without sessions (legacy `workouts: true/false` clients) are left as they are
+ */
+const resolveWorkoutSessions = (fields, bodyWeightKg) => {
+  if (fields.workoutSessions === undefined) return fields;
+
+  const { sessions, caloriesBurned } = summarizeSessions(fields.workoutSessions || [], bodyWeightKg);
+
+  return {
+    ...fields,
+    workoutSessions: sessions,
+    caloriesBurned,
+    workouts: sessions.length > 0
+  };
+};
+
+/**
+ * Calories eaten minus calories burned
+ */
+const netCalories = (entry) => (entry?.calories || 0) - (entry?.caloriesBurned || 0);
+
+module.exports = {
+  MET_VALUES,
+  ACTIVITY_TYPES,
+  INTENSITIES,
+  REFERENCE_BODY_WEIGHT_KG,
+  resolveIntensity,
+  estimateCaloriesBurned,
+  summarizeSessions,
+  resolveWorkoutSessions,
+  netCalories
+};
@@ -10,8 +10,8 @@ require('dotenv').config();
 const { Worker } = require('bullmq');
 const axios = require('axios');
 const mongoose = require('mongoose');
-const logger = require('./utils/logger');
-const Entry = require('./models/Entry');
+const logger = require('../utils/logger');
+const { buildWeeklyReport } = require('../utils/weeklyReport');
 
 // Initialize MongoDB connection
 mongoose
@@ -109,19 +109,12 @@ const processWeeklyReportJob = async (job) => {
   try {
     job.updateProgress(10);
 
-    // Fetch last 7 days of entries
-    const startDate = new Date();
-    startDate.setHours(0, 0, 0, 0);
-    startDate.setDate(startDate.getDate() - 6);
+    // Last 7 days of data, counted in the user's timezone
+    const weekly = await buildWeeklyReport(userId);
 
-    const entries = await Entry.find({
-      user: userId,
-      date: { $gte: startDate }
-    }).sort({ date: 1 });
-
-    job.updateProgress(30);
+    job.updateProgress(60);
 
-    if (!entries.length) {
+    if (!weekly) {
       logger.info({ jobId: job.id, userId }, 'No entries found for weekly report');
       return {
         success: false,
@@ -129,53 +122,12 @@ const processWeeklyReportJob = async (job) => {
       };
     }
 
-    // Aggregate data
-    let totalCalories = 0;
-    let totalSleep = 0;
-    let workoutDays = 0;
-    const foodSummary = [];
-
-    entries.forEach((entry) => {
-      totalCalories += entry.calories || 0;
-      totalSleep += entry.sleep || 0;
-      if (entry.workouts) workoutDays++;
-      if (Array.isArray(entry.foodIntake)) {
-        entry.foodIntake.forEach((item) => {
-          foodSummary.push(
-            `${item.meal}: ${item.food} (${item.calories} kcal)`
-          );
-        });
-      }
-    });
-
-    const avgCalories = Math.round(totalCalories / entries.length);
-    const avgSleep = (totalSleep / entries.length).toFixed(1);
-
-    job.updateProgress(60);
-
-    const prompt = `
-Weekly health summary (${entries.length} days of data):
-
-- Average daily calories: ${avgCalories} kcal
-- Average sleep: ${avgSleep} hours
-- Workout days: ${workoutDays} / 7
-- Food intake:
-${foodSummary.slice(0, 20).join('\n')}
-
-Write a concise, encouraging weekly health report (150-200 words).
-Include:
-1. Positive habits observed
-2. Areas for improvement
-3. One practical lifestyle suggestion
-Avoid medical advice.
-`;
-
     const report = await callGroqAPI([
       {
         role: 'system',
         content: 'You are a friendly health assistant providing motivational weekly summaries.'
       },
-      { role: 'user', content: prompt }
+      { role: 'user', content: weekly.prompt }
     ]);
 
     job.updateProgress(100);
@@ -185,12 +137,7 @@ Avoid medical advice.
     return {
       success: true,
       report,
-      summary: {
-        avgCalories,
-        avgSleep,
-        workoutDays,
-        totalDays: entries.length
-      },
+      summary: weekly.summary,
       processedAt: new Date()
     };
   } catch (err) {